@@ -62,9 +62,22 @@ require("dotenv").config();
  *   DEBUG_FFMPEG=true
  *   DEFAULT_VOLUME=80
  *   DEFAULT_LOOP_MODE=track
+ *   MAX_VOLUME=200
+ *   MAX_TRACK_MINUTES=15
  *   TIMEZONE_OFFSET_HOURS=7
  *   YTDLP_FORCE_IPV4=true
  *   YTDLP_AUTO_UPDATE=true
+ *   RESUME_ON_START=true
+ *   API_TOKEN=some-long-random-string
+ *   PUBLIC_URL=https://my-bot.up.railway.app
+ *   ALONE_LEAVE_MINUTES=5
+ *   HISTORY_SIZE=100
+ *   USER_QUEUE_LIMIT=10
+ *   USER_QUEUE_MAX_MINUTES=60
+ *   AUDIO_CACHE=true
+ *   AUDIO_CACHE_MAX_MB=2048
+ *   MUSIC_LIBRARY_DIR=/music
+ *   LOUDNORM_TARGET_LUFS=-16
  *
  * A missing variable will simply fall back to the default defined below.
  */
@@ -76,6 +89,10 @@ const config = {
   token: process.env.TOKEN || "",
   // Optional explicit path to ffmpeg; if empty, ffmpeg-static or system ffmpeg is used
   ffmpegPath: process.env.FFMPEG_PATH || null,
+  // ffprobe binary used to read tags of local files, uploads and audio URLs
+  ffprobePath: process.env.FFPROBE_PATH || "ffprobe",
+  // Directory of local music for /library (relative to cwd); disabled when empty
+  libraryDir: process.env.MUSIC_LIBRARY_DIR || "",
   // Path to a yt-dlp cookies file; used for age/region restricted videos
   cookieFile: process.env.YTDLP_COOKIES_PATH || null,
   // Directory to store log files; relative paths are resolved from cwd
@@ -91,12 +108,44 @@ const config = {
     const raw = (process.env.DEFAULT_LOOP_MODE || "off").toLowerCase();
     return ["off", "track", "queue"].includes(raw) ? raw : "off";
   })(),
+  // Highest volume percentage users may set (0–1000)
+  maxVolume: Math.max(0, Math.min(1000, Number(process.env.MAX_VOLUME) || 1000)),
+  // Longest track that may be queued, in minutes (0 = unlimited; live streams are exempt)
+  maxTrackMinutes: Math.max(0, Number(process.env.MAX_TRACK_MINUTES) || 0),
   // Timezone offset for scheduling yt-dlp updates, in hours (e.g. 7 for Bangkok)
   timezoneOffsetHours: Number(process.env.TIMEZONE_OFFSET_HOURS) || 7,
   // Force yt-dlp to use IPv4 instead of IPv6
   ytdlpForceIpv4: (process.env.YTDLP_FORCE_IPV4 || "true").toLowerCase() === "true",
   // Whether to automatically update yt-dlp at midnight local time
   ytdlpAutoUpdate: (process.env.YTDLP_AUTO_UPDATE || "true").toLowerCase() === "true",
+  // Whether to rejoin voice and resume saved queues after a restart
+  resumeOnStart: (process.env.RESUME_ON_START || "true").toLowerCase() === "true",
+  // Bearer token for the HTTP control API; the API is disabled when empty
+  apiToken: process.env.API_TOKEN || "",
+  // Externally reachable base URL of the HTTP server, used in dashboard links
+  publicUrl: process.env.PUBLIC_URL || `http://localhost:${Number(process.env.PORT) || 3000}`,
+  // Secret for signing dashboard links; derived from the bot token when empty
+  dashboardSecret: process.env.DASHBOARD_SECRET || "",
+  // How long a /dashboard link stays valid, in minutes
+  dashboardLinkTtlMinutes: Math.max(1, Number(process.env.DASHBOARD_LINK_TTL_MINUTES) || 60),
+  // Pause this many seconds after the last listener leaves (0 = immediately)
+  alonePauseSeconds: Math.max(0, Number(process.env.ALONE_PAUSE_SECONDS ?? 30) || 0),
+  // Leave voice after being alone this many minutes (0 = never)
+  aloneLeaveMinutes: Math.max(0, Number(process.env.ALONE_LEAVE_MINUTES ?? 5) || 0),
+  // Leave voice after being paused/idle this many minutes (0 = never)
+  idleLeaveMinutes: Math.max(0, Number(process.env.IDLE_LEAVE_MINUTES ?? 10) || 0),
+  // How many played tracks to keep per guild for /history, /previous and autoplay
+  historySize: Math.max(1, Number(process.env.HISTORY_SIZE) || 100),
+  // Default share of listeners (percent) needed to pass a vote-skip
+  voteSkipPercent: Math.max(1, Math.min(100, Number(process.env.VOTE_SKIP_PERCENT) || 50)),
+  // Per-user cap on queued tracks (0 = unlimited); DJs are exempt
+  userQueueLimit: Math.max(0, Number(process.env.USER_QUEUE_LIMIT) || 0),
+  // Per-user cap on the total length of queued tracks, in minutes (0 = unlimited)
+  userQueueMaxMinutes: Math.max(0, Number(process.env.USER_QUEUE_MAX_MINUTES) || 0),
+  // Keep finished Ogg/Opus encodes on disk and replay them without yt-dlp
+  audioCacheEnabled: (process.env.AUDIO_CACHE || "false").toLowerCase() === "true",
+  // Size cap of the audio cache in megabytes; least recently played go first
+  audioCacheMaxMb: Math.max(1, Number(process.env.AUDIO_CACHE_MAX_MB) || 1024),
 
   // ===== Audio quality controls (.env) =====
   audioChannels: Math.min(2, Math.max(1, Number(process.env.AUDIO_CHANNELS) || 2)),
@@ -107,6 +156,8 @@ const config = {
   opusFrameDuration: Number(process.env.OPUS_FRAME_DURATION) || 20,
   opusComplexity: Math.max(0, Math.min(10, Number(process.env.OPUS_COMPLEXITY) ?? 8)),
   audioFilter: process.env.AUDIO_FILTER || "",
+  // Integrated loudness that /normalize levels tracks to (LUFS, -70 to -5)
+  loudnormTargetLufs: Math.max(-70, Math.min(-5, Number(process.env.LOUDNORM_TARGET_LUFS) || -16)),
   ffmpegLowLatency: (process.env.FFMPEG_LOW_LATENCY || "true").toLowerCase() === "true",
   ffmpegInputAnalyzeMs: Math.max(0, Number(process.env.FFMPEG_INPUT_ANALYZE_MS) || 0),
   ffmpegReconnectDelayMax: Math.max(1, Number(process.env.FFMPEG_RECONNECT_DELAY_MAX) || 10),
@@ -122,15 +173,33 @@ function logConfiguration() {
     { key: "port", env: "PORT" },
     { key: "token", env: "TOKEN", mask: true },
     { key: "ffmpegPath", env: "FFMPEG_PATH" },
+    { key: "ffprobePath", env: "FFPROBE_PATH" },
+    { key: "libraryDir", env: "MUSIC_LIBRARY_DIR" },
     { key: "cookieFile", env: "YTDLP_COOKIES_PATH" },
     { key: "logDir", env: "LOG_DIR" },
     { key: "dataDir", env: "DATA_DIR" },
     { key: "debugFfmpeg", env: "DEBUG_FFMPEG" },
     { key: "defaultVolume", env: "DEFAULT_VOLUME" },
     { key: "defaultLoop", env: "DEFAULT_LOOP_MODE" },
+    { key: "maxVolume", env: "MAX_VOLUME" },
+    { key: "maxTrackMinutes", env: "MAX_TRACK_MINUTES" },
     { key: "timezoneOffsetHours", env: "TIMEZONE_OFFSET_HOURS" },
     { key: "ytdlpForceIpv4", env: "YTDLP_FORCE_IPV4" },
     { key: "ytdlpAutoUpdate", env: "YTDLP_AUTO_UPDATE" },
+    { key: "resumeOnStart", env: "RESUME_ON_START" },
+    { key: "apiToken", env: "API_TOKEN", mask: true },
+    { key: "publicUrl", env: "PUBLIC_URL" },
+    { key: "dashboardSecret", env: "DASHBOARD_SECRET", mask: true },
+    { key: "dashboardLinkTtlMinutes", env: "DASHBOARD_LINK_TTL_MINUTES" },
+    { key: "alonePauseSeconds", env: "ALONE_PAUSE_SECONDS" },
+    { key: "aloneLeaveMinutes", env: "ALONE_LEAVE_MINUTES" },
+    { key: "idleLeaveMinutes", env: "IDLE_LEAVE_MINUTES" },
+    { key: "historySize", env: "HISTORY_SIZE" },
+    { key: "voteSkipPercent", env: "VOTE_SKIP_PERCENT" },
+    { key: "userQueueLimit", env: "USER_QUEUE_LIMIT" },
+    { key: "userQueueMaxMinutes", env: "USER_QUEUE_MAX_MINUTES" },
+    { key: "audioCacheEnabled", env: "AUDIO_CACHE" },
+    { key: "audioCacheMaxMb", env: "AUDIO_CACHE_MAX_MB" },
     { key: "audioChannels", env: "AUDIO_CHANNELS" },
     { key: "audioSampleRate", env: "AUDIO_SAMPLE_RATE" },
     { key: "opusBitrate", env: "OPUS_BITRATE" },
@@ -139,6 +208,7 @@ function logConfiguration() {
     { key: "opusFrameDuration", env: "OPUS_FRAME_DURATION" },
     { key: "opusComplexity", env: "OPUS_COMPLEXITY" },
     { key: "audioFilter", env: "AUDIO_FILTER" },
+    { key: "loudnormTargetLufs", env: "LOUDNORM_TARGET_LUFS" },
     { key: "ffmpegLowLatency", env: "FFMPEG_LOW_LATENCY" },
     { key: "ffmpegInputAnalyzeMs", env: "FFMPEG_INPUT_ANALYZE_MS" },
     { key: "ffmpegReconnectDelayMax", env: "FFMPEG_RECONNECT_DELAY_MAX" },
@@ -190,7 +260,11 @@ console.log("--------------------------------")
 const fs = require("fs");
 const path = require("path");
 const http = require("http");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
 const { spawn, spawnSync } = require("child_process");
+const { PassThrough, Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 
 const {
   Client,
@@ -200,6 +274,12 @@ const {
   Routes,
   Events,
   EmbedBuilder,
+  PermissionFlagsBits,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ChannelType,
 } = require("discord.js");
 const {
   joinVoiceChannel,
@@ -208,13 +288,35 @@ const {
   AudioPlayerStatus,
   getVoiceConnection,
   demuxProbe,
+  entersState,
+  VoiceConnectionStatus,
+  VoiceConnectionDisconnectReason,
 } = require("@discordjs/voice");
 
 try { require("@snazzah/davey"); } catch { /* optional */ }
 
 /* ------------------------- Keep-alive (Railway/Render) ------------------------ */
-// Use the configured port rather than reading directly from process.env
-http.createServer((_, res) => {
+// Use the configured port rather than reading directly from process.env. The
+// same server also hosts the JSON control API (see handleApiRequest) and the
+// web dashboard (see handleDashboardRequest), plus /healthz and /metrics.
+http.createServer((req, res) => {
+  const reqPath = req.url.split("?")[0];
+  if (reqPath === "/healthz") return handleHealthRequest(req, res);
+  if (reqPath === "/metrics") return handleMetricsRequest(req, res);
+  if (req.url.startsWith("/dashboard/")) {
+    handleDashboardRequest(req, res).catch((e) => {
+      logPretty("ERROR", "dashboard error: " + (e?.message || e));
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+    });
+    return;
+  }
+  if (req.url === "/api" || req.url.startsWith("/api/")) {
+    handleApiRequest(req, res).catch((e) => {
+      logPretty("ERROR", "api error: " + (e?.message || e));
+      if (!res.headersSent) sendJson(res, 500, { error: "internal error" });
+    });
+    return;
+  }
   res.writeHead(200, { "Content-Type": "text/plain" });
   res.end("Discord music bot is running");
 }).listen(config.port);
@@ -365,6 +467,36 @@ function swallowPipeError(err){
 // Use the configured debug flag for ffmpeg logging
 const DEBUG_FFMPEG = config.debugFfmpeg;
 
+/* ---------------------------------- metrics ---------------------------------- */
+// Process-wide counters exposed in Prometheus text format on /metrics. Gauges
+// (players, queue lengths, ping) are read from live state at scrape time.
+const YTDLP_LATENCY_BUCKETS = [0.5, 1, 2, 5, 10, 20, 40];
+const metrics = {
+  tracksPlayed: 0,
+  ytdlpResolveFailures: { search: 0, media: 0 },
+  ytdlpResolveSeconds: {
+    search: { counts: YTDLP_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 },
+    media: { counts: YTDLP_LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 },
+  },
+  ffmpegSpawnErrors: 0,
+  playerRestarts: 0,
+  audioCache: { hit: 0, miss: 0 },
+};
+
+/**
+ * Record how long a yt-dlp resolve took.
+ *
+ * @param {"search"|"media"} stage
+ * @param {number} startedAt Date.now() when the call began
+ */
+function observeYtdlpResolve(stage, startedAt){
+  const h = metrics.ytdlpResolveSeconds[stage];
+  const secs = (Date.now() - startedAt) / 1000;
+  YTDLP_LATENCY_BUCKETS.forEach((le, i) => { if (secs <= le) h.counts[i]++; });
+  h.sum += secs;
+  h.count++;
+}
+
 function checkFfmpegAvailability(){
   if (FFMPEG_AVAILABLE) return;
   try {
@@ -427,11 +559,200 @@ function scheduleDailyBangkokMidnight(fn){
 const client = new Client({ intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildVoiceStates] });
 _clientForPing = client;
 
+/* ------------------------------- Audio filters -------------------------------- */
+// Named presets selectable with /filter. `speed` is how fast the source plays
+// back relative to real time, used to keep the playback position accurate.
+const FILTER_PRESETS = {
+  off: { label: "ปิด", speed: 1, af: () => [] },
+  bassboost: { label: "Bass Boost", speed: 1, af: () => ["bass=g=10:f=110:w=0.6"] },
+  nightcore: { label: "Nightcore", speed: 1.25, af: (sr) => [`asetrate=${Math.round(sr * 1.25)}`, `aresample=${sr}`] },
+  vaporwave: { label: "Vaporwave", speed: 0.8, af: (sr) => [`asetrate=${Math.round(sr * 0.8)}`, `aresample=${sr}`] },
+  "8d": { label: "8D", speed: 1, af: () => ["apulsator=hz=0.125"] },
+};
+// Centre frequencies (Hz) of the /eq bands
+const EQ_BANDS = [60, 150, 400, 1000, 2400, 6000, 15000];
+
+function defaultFilters(){
+  return { preset: "off", speed: 1, pitch: 1, eq: {} };
+}
+
+// loudnorm true-peak ceiling (dBTP) and loudness range (LU) for /normalize
+const LOUDNORM_TRUE_PEAK = -1.5;
+const LOUDNORM_RANGE = 11;
+
+/**
+ * Build the ffmpeg `-af` chain for a guild: the global AUDIO_FILTER from
+ * .env first, then the guild's preset, speed/pitch and EQ bands, and finally
+ * loudness normalization when the guild has it on. The player's volume is
+ * applied on top of the normalized output, so /volume keeps working as usual.
+ *
+ * @param {Object} state
+ * @param {{ includeBase?: boolean }} [opts] `includeBase: false` leaves out
+ *   AUDIO_FILTER (cached encodes already have it applied)
+ * @returns {{ chain: string, speed: number }} Filter chain and effective playback speed
+ */
+function buildAudioFilterChain(state, { includeBase = true } = {}){
+  const f = state.filters || defaultFilters();
+  const sr = config.audioSampleRate;
+  const preset = FILTER_PRESETS[f.preset] || FILTER_PRESETS.off;
+  const parts = [];
+  if (includeBase && (config.audioFilter || "").trim()) parts.push(config.audioFilter.trim());
+  parts.push(...preset.af(sr));
+  if (f.pitch !== 1) {
+    // Shift pitch by resampling, then undo the tempo change it causes
+    parts.push(`asetrate=${Math.round(sr * f.pitch)}`, `aresample=${sr}`, `atempo=${(1 / f.pitch).toFixed(4)}`);
+  }
+  if (f.speed !== 1) parts.push(`atempo=${f.speed}`);
+  for (const band of EQ_BANDS) {
+    const gain = Number(f.eq?.[band]) || 0;
+    if (gain) parts.push(`equalizer=f=${band}:t=o:w=1:g=${gain}`);
+  }
+  if (state.normalize) {
+    // Single-pass loudnorm works internally at 192 kHz; bring it back down
+    parts.push(`loudnorm=I=${config.loudnormTargetLufs}:TP=${LOUDNORM_TRUE_PEAK}:LRA=${LOUDNORM_RANGE}`, `aresample=${sr}`);
+  }
+  return { chain: parts.join(","), speed: preset.speed * f.speed };
+}
+
+/** Short human readable summary of a guild's filter settings. */
+function describeFilters(filters){
+  const f = filters || defaultFilters();
+  const out = [];
+  if (f.preset !== "off") out.push(FILTER_PRESETS[f.preset]?.label || f.preset);
+  if (f.speed !== 1) out.push(`speed ${f.speed}x`);
+  if (f.pitch !== 1) out.push(`pitch ${f.pitch}x`);
+  const eq = EQ_BANDS.filter(b => Number(f.eq?.[b])).map(b => `${b}Hz ${f.eq[b] > 0 ? "+" : ""}${f.eq[b]}dB`);
+  if (eq.length) out.push(`EQ ${eq.join(" ")}`);
+  return out.join(" · ") || "ปิด";
+}
+
+/* ------------------------------ Saved playlists ------------------------------- */
+// Personal playlists live in DATA_DIR/playlists/users/<userId>.json and
+// server-shared ones in DATA_DIR/playlists/guilds/<guildId>.json. Both files
+// map a lower-cased name to { name, ownerId, ownerTag, updatedAt, items }.
+const PLAYLIST_DIR = path.join(DATA_DIR, "playlists");
+for (const sub of ["users", "guilds"]) {
+  const dir = path.join(PLAYLIST_DIR, sub);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+const PLAYLIST_NAME_MAX = 50;
+const PLAYLIST_MAX_ITEMS = 200;
+
+function playlistScopeOption(o){
+  return o.setName("scope")
+    .setDescription("ส่วนตัวหรือของเซิร์ฟเวอร์")
+    .addChoices(
+      { name: "ส่วนตัว", value: "personal" },
+      { name: "เซิร์ฟเวอร์", value: "server" },
+    );
+}
+function playlistFile(scope, ownerKey){
+  return path.join(PLAYLIST_DIR, scope === "server" ? "guilds" : "users", `${ownerKey}.json`);
+}
+function readPlaylists(scope, ownerKey){
+  return readNameMap(playlistFile(scope, ownerKey));
+}
+/**
+ * A JSON object keyed by user-chosen names, loaded without a prototype so
+ * names like "constructor" or "__proto__" are ordinary keys.
+ */
+function readNameMap(file){
+  return Object.assign(Object.create(null), readJsonFile(file, {}));
+}
+function writePlaylists(scope, ownerKey, playlists){
+  writeJsonFile(playlistFile(scope, ownerKey), playlists);
+}
+function playlistKey(name){ return String(name || "").trim().toLowerCase(); }
+
+/* ----------------------------------- Search ----------------------------------- */
+// Discord select menus hold at most 25 options
+const SEARCH_MAX_RESULTS = 25;
+const SEARCH_DEFAULT_RESULTS = 10;
+// How long the /search menu waits for a pick before it is disabled
+const SEARCH_TIMEOUT_MS = 60 * 1000;
+const LIBRARY_SEARCH_RESULTS = 10;
+const LIBRARY_PLAY_ALL_MAX = 50;
+const RADIO_NAME_MAX = 50;
+// Longest /crossfade overlap, in seconds
+const CROSSFADE_MAX_SECONDS = 12;
+// Display names of the per-guild settings (see getGuildSetting)
+const GUILD_SETTING_LABELS = {
+  defaultVolume: "ความดังเริ่มต้น",
+  defaultLoop: "โหมดวนซ้ำเริ่มต้น",
+  maxVolume: "ความดังสูงสุด",
+  announceChannelId: "ห้องประกาศ",
+  djRoleId: "ยศ DJ",
+  maxTrackMinutes: "ความยาวเพลงสูงสุด",
+};
+
+/** Top `n` YouTube results for `query` as track metadata (flat, so it is fast). */
+async function searchTracks(query, n) {
+  try {
+    const out = await ytdlp(`ytsearch${n}:${query}`, ytdlpOpts({ dumpSingleJson: true, "flat-playlist": true }));
+    return (out?.entries || []).map(trackMetaFromInfo).filter(x => x.url);
+  } catch (e) {
+    logPretty("ERROR", "search fail: " + (e?.message || e));
+    return [];
+  }
+}
+
 /* --------------------------------- Commands ---------------------------------- */
 const commands = [
   new SlashCommandBuilder().setName("play").setDescription("เล่นเพลงจาก YouTube (ชื่อเพลงหรือ URL)")
     .addStringOption(o => o.setName("query").setDescription("ชื่อเพลง/URL").setRequired(true)),
+  new SlashCommandBuilder().setName("search").setDescription("ค้นหาเพลงแล้วเลือกจากผลลัพธ์")
+    .addStringOption(o => o.setName("query").setDescription("คำค้น").setRequired(true))
+    .addIntegerOption(o => o.setName("results").setDescription(`จำนวนผลลัพธ์ (1-${SEARCH_MAX_RESULTS})`).setMinValue(1).setMaxValue(SEARCH_MAX_RESULTS)),
+  new SlashCommandBuilder().setName("library").setDescription("เพลงจากคลังเพลงของบอท")
+    .addSubcommand(sc =>
+      sc.setName("search").setDescription("ค้นหาเพลงในคลัง")
+        .addStringOption(o => o.setName("query").setDescription("ชื่อเพลง ศิลปิน อัลบั้ม หรือชื่อไฟล์").setRequired(true))
+    )
+    .addSubcommand(sc =>
+      sc.setName("play").setDescription("เพิ่มเพลงจากคลังเข้าคิว")
+        .addStringOption(o => o.setName("query").setDescription("ชื่อเพลง ศิลปิน อัลบั้ม หรือชื่อไฟล์").setRequired(true))
+        .addBooleanOption(o => o.setName("all").setDescription(`เพิ่มทุกเพลงที่ตรง (สูงสุด ${LIBRARY_PLAY_ALL_MAX} เพลง)`))
+    )
+    .addSubcommand(sc => sc.setName("rescan").setDescription("สแกนคลังเพลงใหม่ (ผู้ดูแลเซิร์ฟเวอร์)")),
+  new SlashCommandBuilder().setName("radio").setDescription("ฟังวิทยุออนไลน์/สตรีมสด")
+    .addSubcommand(sc =>
+      sc.setName("play").setDescription("เปิดสถานีที่บันทึกไว้หรือ URL สตรีม")
+        .addStringOption(o => o.setName("station").setDescription("ชื่อสถานีหรือ URL").setRequired(true))
+    )
+    .addSubcommand(sc =>
+      sc.setName("add").setDescription("บันทึกสถานีของเซิร์ฟเวอร์ (DJ)")
+        .addStringOption(o => o.setName("name").setDescription("ชื่อสถานี").setRequired(true).setMaxLength(RADIO_NAME_MAX))
+        .addStringOption(o => o.setName("url").setDescription("URL สตรีม (Icecast/Shoutcast/HLS/.pls/.m3u)").setRequired(true))
+    )
+    .addSubcommand(sc =>
+      sc.setName("remove").setDescription("ลบสถานีที่บันทึกไว้ (DJ)")
+        .addStringOption(o => o.setName("name").setDescription("ชื่อสถานี").setRequired(true))
+    )
+    .addSubcommand(sc => sc.setName("list").setDescription("ดูสถานีที่บันทึกไว้")),
+  new SlashCommandBuilder().setName("playfile").setDescription("เล่นไฟล์เสียงที่แนบมา")
+    .addAttachmentOption(o => o.setName("file").setDescription("ไฟล์เสียง (mp3, flac, ogg, m4a, wav …)").setRequired(true)),
   new SlashCommandBuilder().setName("skip").setDescription("ข้ามเพลงปัจจุบัน"),
+  new SlashCommandBuilder().setName("fairqueue").setDescription("สลับคิวให้แต่ละคนได้เล่นเพลงวนกันอย่างยุติธรรม")
+    .addStringOption(o =>
+      o.setName("mode")
+        .setDescription("เปิด/ปิด")
+        .setRequired(true)
+        .addChoices(
+          { name: "เปิด", value: "on" },
+          { name: "ปิด", value: "off" },
+        )
+    ),
+  new SlashCommandBuilder().setName("voteskip").setDescription("ตั้งค่าโหมดโหวตข้ามเพลง")
+    .addStringOption(o =>
+      o.setName("mode")
+        .setDescription("เปิด/ปิด")
+        .setRequired(true)
+        .addChoices(
+          { name: "เปิด", value: "on" },
+          { name: "ปิด", value: "off" },
+        )
+    )
+    .addIntegerOption(o => o.setName("percent").setDescription("สัดส่วนผู้ฟังที่ต้องโหวต (1-100%)").setMinValue(1).setMaxValue(100)),
   new SlashCommandBuilder().setName("stop").setDescription("หยุดเพลงและล้างคิว"),
   new SlashCommandBuilder().setName("pause").setDescription("หยุดชั่วคราว"),
   new SlashCommandBuilder().setName("resume").setDescription("เล่นต่อ"),
@@ -441,12 +762,165 @@ const commands = [
   new SlashCommandBuilder().setName("queue").setDescription("ดูคิวเพลงที่เหลือ"),
   new SlashCommandBuilder().setName("volume").setDescription("ปรับความดัง (0-1000)")
     .addIntegerOption(o => o.setName("value").setDescription("เปอร์เซ็นต์ (0-1000)").setRequired(true).setMinValue(0).setMaxValue(1000)),
-  new SlashCommandBuilder().setName("playlist").setDescription("เพิ่มเพลงเป็นชุดจาก YouTube (playlist หรือผลค้นหา)")
-    .addStringOption(o => o.setName("query").setDescription("ลิงก์ playlist หรือคำค้น").setRequired(true))
-    .addIntegerOption(o => o.setName("limit").setDescription("จำนวนสูงสุด (1-50)").setMinValue(1).setMaxValue(50)),
+  new SlashCommandBuilder().setName("seek").setDescription("กระโดดไปยังเวลาที่กำหนดในเพลง")
+    .addStringOption(o => o.setName("position").setDescription("เวลา เช่น 1:30 หรือ 1:02:03").setRequired(true)),
+  new SlashCommandBuilder().setName("forward").setDescription("เลื่อนไปข้างหน้า")
+    .addIntegerOption(o => o.setName("seconds").setDescription("จำนวนวินาที (ค่าเริ่มต้น 10)").setMinValue(1)),
+  new SlashCommandBuilder().setName("rewind").setDescription("ย้อนกลับ")
+    .addIntegerOption(o => o.setName("seconds").setDescription("จำนวนวินาที (ค่าเริ่มต้น 10)").setMinValue(1)),
+  new SlashCommandBuilder().setName("filter").setDescription("ตั้งค่าเอฟเฟกต์เสียงของเซิร์ฟเวอร์นี้")
+    .addStringOption(o =>
+      o.setName("preset")
+        .setDescription("เอฟเฟกต์สำเร็จรูป")
+        .addChoices(
+          { name: "ปิด", value: "off" },
+          { name: "Bass Boost", value: "bassboost" },
+          { name: "Nightcore", value: "nightcore" },
+          { name: "Vaporwave", value: "vaporwave" },
+          { name: "8D", value: "8d" },
+        )
+    )
+    .addNumberOption(o => o.setName("speed").setDescription("ความเร็ว (0.5-2.0)").setMinValue(0.5).setMaxValue(2))
+    .addNumberOption(o => o.setName("pitch").setDescription("ระดับเสียง (0.5-2.0)").setMinValue(0.5).setMaxValue(2)),
+  new SlashCommandBuilder().setName("eq").setDescription("อีควอไลเซอร์หลายย่านความถี่")
+    .addSubcommand(sc =>
+      sc.setName("set").setDescription("ปรับเกนของย่านความถี่")
+        .addIntegerOption(o =>
+          o.setName("band")
+            .setDescription("ย่านความถี่")
+            .setRequired(true)
+            .addChoices(...EQ_BANDS.map(f => ({ name: f >= 1000 ? `${f / 1000} kHz` : `${f} Hz`, value: f })))
+        )
+        .addIntegerOption(o => o.setName("gain").setDescription("เกน dB (-12 ถึง 12)").setRequired(true).setMinValue(-12).setMaxValue(12))
+    )
+    .addSubcommand(sc => sc.setName("reset").setDescription("รีเซ็ตอีควอไลเซอร์")),
+  new SlashCommandBuilder().setName("playlist").setDescription("เพลย์ลิสต์จาก YouTube และเพลย์ลิสต์ที่บันทึกไว้")
+    .addSubcommand(sc =>
+      sc.setName("youtube").setDescription("เพิ่มเพลงเป็นชุดจาก YouTube (playlist หรือผลค้นหา)")
+        .addStringOption(o => o.setName("query").setDescription("ลิงก์ playlist หรือคำค้น").setRequired(true))
+        .addIntegerOption(o => o.setName("limit").setDescription("จำนวนสูงสุด (1-50)").setMinValue(1).setMaxValue(50))
+    )
+    .addSubcommand(sc =>
+      sc.setName("save").setDescription("บันทึกคิวปัจจุบันเป็นเพลย์ลิสต์")
+        .addStringOption(o => o.setName("name").setDescription("ชื่อเพลย์ลิสต์").setRequired(true).setMaxLength(PLAYLIST_NAME_MAX))
+        .addStringOption(o => playlistScopeOption(o))
+        .addBooleanOption(o => o.setName("include_current").setDescription("รวมเพลงที่กำลังเล่นด้วย (ค่าเริ่มต้น: ใช่)"))
+    )
+    .addSubcommand(sc =>
+      sc.setName("load").setDescription("เพิ่มเพลงจากเพลย์ลิสต์ที่บันทึกไว้เข้าคิว")
+        .addStringOption(o => o.setName("name").setDescription("ชื่อเพลย์ลิสต์").setRequired(true).setMaxLength(PLAYLIST_NAME_MAX))
+        .addStringOption(o => playlistScopeOption(o))
+    )
+    .addSubcommand(sc =>
+      sc.setName("list").setDescription("ดูเพลย์ลิสต์ที่บันทึกไว้")
+    )
+    .addSubcommand(sc =>
+      sc.setName("delete").setDescription("ลบเพลย์ลิสต์ที่บันทึกไว้")
+        .addStringOption(o => o.setName("name").setDescription("ชื่อเพลย์ลิสต์").setRequired(true).setMaxLength(PLAYLIST_NAME_MAX))
+        .addStringOption(o => playlistScopeOption(o))
+    ),
+  new SlashCommandBuilder().setName("dashboard").setDescription("รับลิงก์หน้าเว็บควบคุมเพลงทาง DM"),
   new SlashCommandBuilder().setName("remove").setDescription("ลบเพลงจากคิวตามลำดับ")
     .addIntegerOption(o => o.setName("index").setDescription("ลำดับเพลงตาม /queue").setRequired(true).setMinValue(1)),
+  new SlashCommandBuilder().setName("move").setDescription("ย้ายเพลงในคิว")
+    .addIntegerOption(o => o.setName("from").setDescription("ลำดับเดิม").setRequired(true).setMinValue(1))
+    .addIntegerOption(o => o.setName("to").setDescription("ลำดับใหม่").setRequired(true).setMinValue(1)),
+  new SlashCommandBuilder().setName("skipto").setDescription("ข้ามไปยังเพลงลำดับที่กำหนด")
+    .addIntegerOption(o => o.setName("index").setDescription("ลำดับเพลงตาม /queue").setRequired(true).setMinValue(1)),
+  new SlashCommandBuilder().setName("playnext").setDescription("เพิ่มเพลงไว้ต้นคิว (เล่นเป็นเพลงถัดไป)")
+    .addStringOption(o => o.setName("query").setDescription("ชื่อเพลง/URL").setRequired(true)),
+  new SlashCommandBuilder().setName("clear").setDescription("ล้างคิว (เพลงที่กำลังเล่นยังเล่นต่อ)")
+    .addBooleanOption(o => o.setName("mine").setDescription("ลบเฉพาะเพลงที่ฉันขอ")),
+  new SlashCommandBuilder().setName("dedupe").setDescription("ลบเพลงซ้ำออกจากคิว"),
+  new SlashCommandBuilder().setName("history").setDescription("ดูเพลงที่เล่นไปแล้ว")
+    .addIntegerOption(o => o.setName("page").setDescription("หน้า").setMinValue(1)),
+  new SlashCommandBuilder().setName("previous").setDescription("กลับไปเล่นเพลงก่อนหน้า"),
+  new SlashCommandBuilder().setName("replay").setDescription("เริ่มเพลงปัจจุบันใหม่ตั้งแต่ต้น"),
   new SlashCommandBuilder().setName("shuffle").setDescription("สลับลำดับคิวแบบสุ่ม"),
+  new SlashCommandBuilder().setName("autoplay").setDescription("เล่นเพลงที่เกี่ยวข้องต่ออัตโนมัติเมื่อคิวหมด")
+    .addStringOption(o =>
+      o.setName("mode")
+        .setDescription("เปิด/ปิด")
+        .setRequired(true)
+        .addChoices(
+          { name: "เปิด", value: "on" },
+          { name: "ปิด", value: "off" },
+        )
+    ),
+  new SlashCommandBuilder().setName("normalize").setDescription("ปรับความดังของแต่ละเพลงให้ใกล้เคียงกัน")
+    .addStringOption(o =>
+      o.setName("mode")
+        .setDescription("เปิด/ปิด")
+        .setRequired(true)
+        .addChoices(
+          { name: "เปิด", value: "on" },
+          { name: "ปิด", value: "off" },
+        )
+    ),
+  new SlashCommandBuilder().setName("crossfade").setDescription("เฟดเสียงเพลงถัดไปเข้ามาซ้อนช่วงท้ายเพลงปัจจุบัน")
+    .addIntegerOption(o =>
+      o.setName("seconds")
+        .setDescription(`จำนวนวินาทีที่ซ้อนกัน (0 = ปิด, สูงสุด ${CROSSFADE_MAX_SECONDS})`)
+        .setRequired(true)
+        .setMinValue(0)
+        .setMaxValue(CROSSFADE_MAX_SECONDS)
+    ),
+  new SlashCommandBuilder().setName("settings").setDescription("ตั้งค่าบอทของเซิร์ฟเวอร์นี้ (ผู้ดูแลเซิร์ฟเวอร์)")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addSubcommand(sc => sc.setName("show").setDescription("ดูการตั้งค่าทั้งหมด"))
+    .addSubcommand(sc =>
+      sc.setName("volume").setDescription("ความดังเริ่มต้น")
+        .addIntegerOption(o => o.setName("value").setDescription("เปอร์เซ็นต์ (0-1000)").setRequired(true).setMinValue(0).setMaxValue(1000))
+    )
+    .addSubcommand(sc =>
+      sc.setName("loop").setDescription("โหมดวนซ้ำเริ่มต้น")
+        .addStringOption(o =>
+          o.setName("mode")
+            .setDescription("โหมด")
+            .setRequired(true)
+            .addChoices(
+              { name: "ปิด", value: "off" },
+              { name: "วนเพลงปัจจุบัน", value: "track" },
+              { name: "วนทั้งคิว", value: "queue" },
+            )
+        )
+    )
+    .addSubcommand(sc =>
+      sc.setName("maxvolume").setDescription("ความดังสูงสุดที่ตั้งได้")
+        .addIntegerOption(o => o.setName("value").setDescription("เปอร์เซ็นต์ (0-1000)").setRequired(true).setMinValue(0).setMaxValue(1000))
+    )
+    .addSubcommand(sc =>
+      sc.setName("announce").setDescription("ห้องที่บอทใช้ประกาศเพลงที่กำลังเล่น")
+        .addChannelOption(o => o.setName("channel").setDescription("ห้องข้อความ").setRequired(true).addChannelTypes(ChannelType.GuildText))
+    )
+    .addSubcommand(sc =>
+      sc.setName("djrole").setDescription("ยศ DJ")
+        .addRoleOption(o => o.setName("role").setDescription("ยศ DJ").setRequired(true))
+    )
+    .addSubcommand(sc =>
+      sc.setName("maxlength").setDescription("ความยาวเพลงสูงสุดที่เพิ่มเข้าคิวได้")
+        .addIntegerOption(o => o.setName("minutes").setDescription("นาที (0 = ไม่จำกัด)").setRequired(true).setMinValue(0).setMaxValue(24 * 60))
+    )
+    .addSubcommand(sc =>
+      sc.setName("reset").setDescription("คืนค่าเริ่มต้นจาก .env")
+        .addStringOption(o =>
+          o.setName("key")
+            .setDescription("การตั้งค่าที่จะคืนค่า")
+            .setRequired(true)
+            .addChoices(...Object.entries(GUILD_SETTING_LABELS).map(([value, name]) => ({ name, value })))
+        )
+    ),
+  new SlashCommandBuilder().setName("247").setDescription("ให้บอทอยู่ในห้องเสียงตลอด 24/7 (ผู้ดูแลเซิร์ฟเวอร์)")
+    .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+    .addStringOption(o =>
+      o.setName("mode")
+        .setDescription("เปิด/ปิด")
+        .setRequired(true)
+        .addChoices(
+          { name: "เปิด", value: "on" },
+          { name: "ปิด", value: "off" },
+        )
+    ),
   new SlashCommandBuilder().setName("loop").setDescription("ตั้งค่าการวนเพลง/คิว")
     .addStringOption(o =>
       o.setName("mode")
@@ -462,21 +936,83 @@ const commands = [
 
 /* ---------------------------- Queue / Player state ---------------------------- */
 const guildStates = new Map();
+// Emits "change" (guildId) whenever a guild's player or queue changes; the
+// dashboard pushes these to connected browsers.
+const playerEvents = new EventEmitter();
+playerEvents.setMaxListeners(0);
 
 function createGuildState(guild) {
   const player = createAudioPlayer();
   const state = {
+    guildId: guild.id,
     queue: [],
     current: null,
     player,
-    currentPipe: /** @type {null | { ff: import('child_process').ChildProcessWithoutNullStreams, stream: NodeJS.ReadableStream }} */ (null),
+    // ff is null when a cached file is streamed straight from disk; input is
+    // where the audio comes from (see openTrackInput); caching is set while the
+    // encode is also written to the audio cache; stopMetadata ends the ICY
+    // watcher of a radio stream
+    currentPipe: /** @type {null | { ff: import('child_process').ChildProcessWithoutNullStreams|null, stream: NodeJS.ReadableStream, input: TrackInput, caching?: boolean, stopMetadata?: () => void }} */ (null),
     restartGuard: { tried: false },
+    // Live streams: reconnect attempts since the last stable play, and the pending retry
+    liveRetries: 0,
+    liveReconnectTimer: null,
     currentResource: null,
-    volumePct: config.defaultVolume,
-    loopMode: config.defaultLoop,
+    // Offset (ms into the track) that the current ffmpeg process was started at
+    seekOffsetMs: 0,
+    // Source speed of the running filter chain (nightcore/vaporwave/speed)
+    playbackSpeed: 1,
+    filters: defaultFilters(),
+    // Loudness normalization (ffmpeg loudnorm, see buildAudioFilterChain)
+    normalize: false,
+    // Seconds the end of a track overlaps the next one (0 = off), and the
+    // prepared fade into queue[0] (see prepareCrossfade)
+    crossfadeSeconds: 0,
+    crossfade: null,
+    volumePct: Math.min(getGuildSetting(guild.id, "defaultVolume"), getGuildSetting(guild.id, "maxVolume")),
+    loopMode: getGuildSetting(guild.id, "defaultLoop"),
+    // The single "now playing" message with control buttons:
+    // { channelId, messageId, controlsKey } (see nowPlayingControlsKey)
+    nowPlayingMessage: null,
+    // Pending edit of that message after a pause/loop/volume change
+    npRefreshTimer: null,
+    // Background resolve of queue[0]: { item, promise, expiresAt } (see refreshPrefetch)
+    prefetch: null,
+    // Queue-loop only: items to re-append right after the current track when it
+    // finishes (tracks jumped over by /skipto keep their place in the rotation)
+    requeueAfterCurrent: [],
+    autoplay: false,
+    // Fair queue: new tracks are interleaved by requester (see addToQueue)
+    fairQueue: false,
+    // Vote-skip mode and the share of listeners (percent) required
+    voteSkip: { enabled: false, percent: config.voteSkipPercent },
+    // User IDs that voted to skip the current track, and the live count message
+    skipVotes: new Set(),
+    skipVoteMessage: null,
+    // 24/7 mode: never leave voice on our own (queue end, alone, idle)
+    stay247: false,
+    // Whether the current pause was done by the bot because nobody was listening
+    autoPaused: false,
+    // Pending presence timers (see evaluatePresence)
+    timers: { alonePause: null, aloneLeave: null, idleLeave: null },
+    // Last finished track; seeds autoplay when the queue runs out
+    lastPlayed: null,
+    // Finished tracks, oldest first (persisted, see recordHistory)
+    history: loadHistory(guild.id),
     skipRequested: false,
+    // Set right before the bot destroys its own voice connection so the
+    // Destroyed handler can tell a deliberate leave from a kick/drop
+    leavingVoice: false,
+    // Set while the current track is being restarted at a new position so the
+    // Idle/error events from the old stream are not treated as track end
+    restarting: false,
   };
 
+  player.on("stateChange", (oldS, newS) => {
+    if (oldS.status === newS.status) return;
+    playerEvents.emit("change", guild.id);
+    evaluatePresence(guild, state);
+  });
   player.on(AudioPlayerStatus.Idle, () => {
     handlePlayerIdle(guild, state).catch((e) => logPretty("ERROR", `Idle handler error: ${e?.message || e}`));
   });
@@ -496,57 +1032,461 @@ function getGuildState(guild) {
   return state;
 }
 
+/* ------------------------- Guild state persistence --------------------------- */
+// Each guild's queue, current track, volume and loop mode are written to
+// DATA_DIR/guilds/<guildId>.json whenever they change so that a redeploy can
+// pick up where it left off. Live objects (Guild, player, ffmpeg) are dropped.
+const GUILD_STATE_DIR = path.join(DATA_DIR, "guilds");
+if (!fs.existsSync(GUILD_STATE_DIR)) fs.mkdirSync(GUILD_STATE_DIR, { recursive: true });
+// How often the playback position of playing guilds is re-saved
+const POSITION_SAVE_INTERVAL_MS = 15000;
+
+function readJsonFile(file, fallback = null){
+  try { return JSON.parse(fs.readFileSync(file, "utf8")); } catch { return fallback; }
+}
+function writeJsonFile(file, data){
+  // Write to a temp file first so a crash mid-write never leaves truncated JSON
+  const tmp = file + ".tmp";
+  fs.writeFileSync(tmp, JSON.stringify(data), "utf8");
+  fs.renameSync(tmp, file);
+}
+function guildStateFile(guildId){ return path.join(GUILD_STATE_DIR, `${guildId}.json`); }
+
+/** Current position inside the playing track, in milliseconds. */
+function getPlaybackPositionMs(state){
+  if (!state.current) return 0;
+  const played = (state.currentResource?.playbackDuration || 0) * state.playbackSpeed;
+  return Math.max(0, Math.floor(state.seekOffsetMs + played));
+}
+
+function serializeQueueItem(item){
+  if (!item) return null;
+  const { guild, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Persist the guild's queue and playback settings, notify live listeners and
+ * keep the next-track prefetch in line with the queue. Call this after
+ * anything that changes the queue, the current track, the volume or the loop
+ * mode.
+ *
+ * @param {Object} state
+ */
+function commitGuildState(state){
+  const snapshot = {
+    guildId: state.guildId,
+    current: serializeQueueItem(state.current),
+    positionMs: getPlaybackPositionMs(state),
+    queue: state.queue.map(serializeQueueItem),
+    requeueAfterCurrent: state.requeueAfterCurrent.map(serializeQueueItem),
+    volumePct: state.volumePct,
+    loopMode: state.loopMode,
+    autoplay: state.autoplay,
+    fairQueue: state.fairQueue,
+    stay247: state.stay247,
+    voteSkip: state.voteSkip,
+    voiceChannelId: getVoiceConnection(state.guildId)?.joinConfig?.channelId || null,
+    filters: state.filters,
+    normalize: state.normalize,
+    crossfadeSeconds: state.crossfadeSeconds,
+    savedAt: Date.now(),
+  };
+  try {
+    writeJsonFile(guildStateFile(state.guildId), snapshot);
+  } catch (e) {
+    logPretty("ERROR", "save guild state fail: " + (e?.message || e));
+  }
+  refreshPrefetch(state);
+  playerEvents.emit("change", state.guildId);
+}
+
+/**
+ * Load every saved guild state. Volume and loop mode are always restored; the
+ * queue (with the interrupted track first, at its saved position) is only
+ * resumed when RESUME_ON_START is enabled and the voice channel still exists.
+ */
+async function restoreGuildStates(){
+  let files = [];
+  try { files = fs.readdirSync(GUILD_STATE_DIR).filter(f => f.endsWith(".json")); } catch {}
+  for (const f of files) {
+    const saved = readJsonFile(path.join(GUILD_STATE_DIR, f));
+    const guild = saved?.guildId && client.guilds.cache.get(saved.guildId);
+    if (!guild) continue;
+
+    const state = getGuildState(guild);
+    if (Number.isFinite(saved.volumePct)) state.volumePct = Math.min(saved.volumePct, getGuildSetting(guild.id, "maxVolume"));
+    if (["off", "track", "queue"].includes(saved.loopMode)) state.loopMode = saved.loopMode;
+    if (typeof saved.autoplay === "boolean") state.autoplay = saved.autoplay;
+    if (typeof saved.stay247 === "boolean") state.stay247 = saved.stay247;
+    if (typeof saved.fairQueue === "boolean") state.fairQueue = saved.fairQueue;
+    // DJ roles set before the settings store existed move over to it
+    if (typeof saved.djRoleId === "string" && !("djRoleId" in readGuildSettings(guild.id))) {
+      updateGuildSettings(guild.id, { djRoleId: saved.djRoleId });
+    }
+    if (saved.voteSkip) state.voteSkip = { ...state.voteSkip, ...saved.voteSkip };
+    if (saved.filters) state.filters = { ...defaultFilters(), ...saved.filters };
+    if (typeof saved.normalize === "boolean") state.normalize = saved.normalize;
+    if (Number.isFinite(saved.crossfadeSeconds)) state.crossfadeSeconds = saved.crossfadeSeconds;
+    if (!config.resumeOnStart || state.current) continue;
+
+    const revive = (item) => (item?.source ? { ...item, guild } : null);
+    const queue = (saved.queue || []).map(revive).filter(Boolean);
+    const current = revive(saved.current);
+    // Queue-loop tracks waiting on the interrupted track; with no track to wait
+    // for they go straight back into the rotation
+    const requeue = (saved.requeueAfterCurrent || []).map(revive).filter(Boolean);
+    if (current) queue.unshift({ ...current, startMs: Number(saved.positionMs) || 0 });
+    else queue.push(...requeue);
+    if (!queue.length) {
+      // A 24/7 guild goes back into its channel even with nothing queued
+      if (state.stay247 && guild.channels.cache.get(saved.voiceChannelId)?.isVoiceBased?.()) {
+        ensureVC(guild, saved.voiceChannelId, state);
+      }
+      continue;
+    }
+
+    const channel = guild.channels.cache.get(queue[0].voiceChannelId);
+    if (!channel?.isVoiceBased?.()) {
+      logPretty("ERROR", "resume skipped: voice channel missing", { tail: `guild=${guild.id}` });
+      continue;
+    }
+
+    state.queue = queue;
+    if (current) state.requeueAfterCurrent = requeue;
+    logPretty("NOWPLAY", `♻️ RESUMING: ${queue[0].title}`, { tail: `guild=${guild.id} tracks=${queue.length}` });
+    await sendToTextChannel(guild, queue[0].textChannelId, "♻️ บอทรีสตาร์ท กำลังเล่นคิวเดิมต่อ…");
+    playNext(guild, queue[0].textChannelId, state);
+  }
+}
+
+// Keep the saved position reasonably fresh while tracks play, and flush
+// everything on shutdown (Railway/Render send SIGTERM on redeploy).
+setInterval(() => {
+  for (const state of guildStates.values()) {
+    if (state.current && state.player.state.status === AudioPlayerStatus.Playing) commitGuildState(state);
+  }
+}, POSITION_SAVE_INTERVAL_MS).unref();
+for (const sig of ["SIGTERM", "SIGINT"]) {
+  process.once(sig, () => {
+    for (const state of guildStates.values()) commitGuildState(state);
+    process.exit(0);
+  });
+}
+
 /* ------------------------------- Util functions ------------------------------- */
 async function sendToTextChannel(guild, textChannelId, content){
   try {
-    const ch = guild.channels.cache.get(textChannelId);
+    const ch = guild.channels.cache.get(announceChannelFor(guild, textChannelId));
     if (ch && ch.isTextBased?.()) return ch.send(content);
   } catch {}
 }
+/** The guild's announce channel if one is set and still exists, else `textChannelId`. */
+function announceChannelFor(guild, textChannelId){
+  const announceId = getGuildSetting(guild.id, "announceChannelId");
+  return announceId && guild.channels.cache.get(announceId)?.isTextBased?.() ? announceId : textChannelId;
+}
 function ensureVC(guild, channelId, state){
   let conn = getVoiceConnection(guild.id);
   if (!conn) {
     conn = joinVoiceChannel({ channelId, guildId: guild.id, adapterCreator: guild.voiceAdapterCreator, selfDeaf: true });
+    watchVoiceConnection(guild, conn, state || getGuildState(guild));
   }
   if (state) {
     conn.subscribe(state.player);
   }
   return conn;
 }
-function cleanupCurrentPipeline(state){
-  if (!state.currentPipe) return;
+/** Destroy the guild's voice connection on purpose (queue finished, /stop). */
+function leaveVoice(guild, state){
+  const vc = getVoiceConnection(guild.id);
+  if (!vc) return;
+  state.leavingVoice = true;
+  vc.destroy();
+}
+function destroyPipe(pipe){
+  if (!pipe) return;
   try {
-    try { state.currentPipe.stream.destroy(); } catch {}
-    try { state.currentPipe.ff.kill("SIGKILL"); } catch {}
+    try { pipe.stopMetadata?.(); } catch {}
+    try { pipe.stream.destroy(); } catch {}
+    try { pipe.ff?.kill("SIGKILL"); } catch {}
   } catch (e) { swallowPipeError(e); }
-  finally { state.currentPipe = null; }
+}
+function cleanupCurrentPipeline(state){
+  // A fade prepared from this pipeline no longer lines up with it
+  cancelCrossfade(state);
+  destroyPipe(state.currentPipe);
+  state.currentPipe = null;
 }
 function isUrl(s){ try { new URL(s); return true; } catch { return false; } }
+/** Extract the YouTube video ID from a watch/short/youtu.be URL, or null. */
+function extractVideoId(input){
+  try {
+    const u = new URL(input);
+    if (u.hostname === "youtu.be") return u.pathname.slice(1, 12) || null;
+    if (u.hostname.endsWith("youtube.com")) {
+      return u.searchParams.get("v") || u.pathname.match(/^\/(?:shorts|live|embed)\/([\w-]{11})/)?.[1] || null;
+    }
+  } catch {}
+  return null;
+}
+
+/**
+ * Parse a user supplied timestamp ("90", "1:30", "1:02:03") into milliseconds.
+ *
+ * @param {string} input
+ * @returns {number|null} Milliseconds, or null when the input is not a timestamp
+ */
+function parseTimestamp(input){
+  const parts = String(input || "").trim().split(":");
+  if (!parts.length || parts.length > 3 || parts.some(p => !/^\d+$/.test(p))) return null;
+  const secs = parts.reduce((acc, p) => acc * 60 + Number(p), 0);
+  return secs * 1000;
+}
+/** Format milliseconds as m:ss or h:mm:ss. */
+function formatDuration(ms){
+  const total = Math.max(0, Math.floor((Number(ms) || 0) / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${sec}` : `${m}:${sec}`;
+}
+/** Text progress bar such as ▬▬▬🔘▬▬▬▬▬▬ for the given position. */
+function progressBar(positionMs, totalMs, width = 16){
+  const ratio = totalMs > 0 ? Math.min(1, Math.max(0, positionMs / totalMs)) : 0;
+  const knob = Math.min(width - 1, Math.floor(ratio * width));
+  return "▬".repeat(knob) + "🔘" + "▬".repeat(width - knob - 1);
+}
+
+/* ---------------------------- Voice connection life --------------------------- */
+// ensureVC only joins; these handlers keep the guild state in line with what
+// actually happens to the connection afterwards (drops, moves, kicks).
+const VOICE_MAX_REJOIN_ATTEMPTS = 5;
+// How long to wait for Discord to re-establish a moved/region-changed connection
+const VOICE_MOVE_GRACE_MS = 5000;
+
+/**
+ * Attach lifecycle handlers to a fresh voice connection.
+ *
+ * - Disconnected by a channel move or voice server change: Discord normally
+ *   reconnects by itself, so wait briefly; if it does not, we were kicked.
+ * - Disconnected for any other reason (network drop): rejoin with a growing
+ *   delay, at most VOICE_MAX_REJOIN_ATTEMPTS times.
+ * - Destroyed without leaveVoice(): reset the player and tell the channel.
+ */
+function watchVoiceConnection(guild, conn, state){
+  conn.on(VoiceConnectionStatus.Disconnected, async (_old, newState) => {
+    const maybeMoved = newState.reason === VoiceConnectionDisconnectReason.EndpointRemoved
+      || (newState.reason === VoiceConnectionDisconnectReason.WebSocketClose && newState.closeCode === 4014);
+    if (maybeMoved) {
+      try {
+        await entersState(conn, VoiceConnectionStatus.Connecting, VOICE_MOVE_GRACE_MS);
+      } catch {
+        logPretty("ERROR", "voice connection lost (kicked or channel removed)", { tail: `guild=${guild.id}` });
+        if (conn.state.status !== VoiceConnectionStatus.Destroyed) conn.destroy();
+      }
+      return;
+    }
+    if (conn.rejoinAttempts < VOICE_MAX_REJOIN_ATTEMPTS) {
+      const delay = (conn.rejoinAttempts + 1) * 5000;
+      logPretty("ERROR", `voice disconnected, rejoining in ${delay / 1000}s`, { tail: `guild=${guild.id} attempt=${conn.rejoinAttempts + 1}` });
+      await new Promise(r => setTimeout(r, delay));
+      if (conn.state.status === VoiceConnectionStatus.Disconnected) conn.rejoin();
+    } else {
+      logPretty("ERROR", "voice rejoin attempts exhausted", { tail: `guild=${guild.id}` });
+      if (conn.state.status !== VoiceConnectionStatus.Destroyed) conn.destroy();
+    }
+  });
+  conn.on(VoiceConnectionStatus.Ready, () => {
+    conn.rejoinAttempts = 0;
+  });
+  conn.on(VoiceConnectionStatus.Destroyed, () => {
+    clearPresenceTimers(state);
+    if (state.leavingVoice) {
+      state.leavingVoice = false;
+      return;
+    }
+    resetAfterVoiceLoss(guild, state, "⚠️ บอทถูกตัดออกจากห้องเสียง หยุดเล่นและล้างคิวแล้ว");
+  });
+}
+
+/** Stop playback and clear the queue after the bot lost its voice connection. */
+function resetAfterVoiceLoss(guild, state, notice){
+  const textChannelId = state.current?.textChannelId || state.lastPlayed?.textChannelId;
+  const hadPlayer = Boolean(state.current || state.queue.length);
+  state.queue = [];
+  state.requeueAfterCurrent = [];
+  state.current = null;
+  state.skipRequested = false;
+  cancelLiveReconnect(state);
+  state.player.stop(true);
+  cleanupCurrentPipeline(state);
+  commitGuildState(state);
+  if (!hadPlayer) return;
+  logPretty("NOWPLAY", "⏹️ VOICE LOST", { tail: `guild=${guild.id}` });
+  retireNowPlayingMessage(guild, state, notice, textChannelId).catch(() => {});
+}
+
+/* ------------------------- Auto-leave and 24/7 mode --------------------------- */
+// Re-evaluated whenever someone joins/leaves the bot's channel and whenever
+// the player changes status:
+//
+// - alone (no non-bot members): pause after ALONE_PAUSE_SECONDS and leave
+//   after ALONE_LEAVE_MINUTES; resume if someone comes back first
+// - idle (paused or nothing loaded): leave after IDLE_LEAVE_MINUTES
+//
+// Guilds with 24/7 mode on still pause/resume but never leave.
+
+function clearPresenceTimer(state, key){
+  if (state.timers[key]) clearTimeout(state.timers[key]);
+  state.timers[key] = null;
+}
+function clearPresenceTimers(state){
+  for (const key of Object.keys(state.timers)) clearPresenceTimer(state, key);
+}
+function setPresenceTimer(state, key, ms, fn){
+  if (state.timers[key]) return;
+  state.timers[key] = setTimeout(() => {
+    state.timers[key] = null;
+    if (getVoiceConnection(state.guildId)) fn();
+  }, ms);
+}
+
+/** Non-bot members in the bot's voice channel, or -1 when the bot is not in one. */
+function countListeners(guild){
+  const channel = guild.members.me?.voice?.channel;
+  return channel ? channel.members.filter(m => !m.user.bot).size : -1;
+}
+
+function evaluatePresence(guild, state){
+  const listeners = getVoiceConnection(guild.id) ? countListeners(guild) : -1;
+  if (listeners < 0) {
+    clearPresenceTimers(state);
+    return;
+  }
+  const status = state.player.state.status;
+  if (status === AudioPlayerStatus.Playing) state.autoPaused = false;
+  const alone = listeners === 0;
+  const idle = !state.current || status === AudioPlayerStatus.Paused;
+
+  if (alone) {
+    if (status === AudioPlayerStatus.Playing) {
+      setPresenceTimer(state, "alonePause", config.alonePauseSeconds * 1000, () => {
+        if (countListeners(guild) === 0 && state.player.pause()) {
+          state.autoPaused = true;
+          logPretty("NOWPLAY", "⏸️ AUTO PAUSE (alone)", { tail: `guild=${guild.id}` });
+        }
+      });
+    }
+    if (!state.stay247 && config.aloneLeaveMinutes > 0) {
+      setPresenceTimer(state, "aloneLeave", config.aloneLeaveMinutes * 60000, () => {
+        if (countListeners(guild) === 0) autoLeave(guild, state, "👋 ออกจากห้องเสียงเพราะไม่มีใครฟังอยู่");
+      });
+    }
+  } else {
+    clearPresenceTimer(state, "alonePause");
+    clearPresenceTimer(state, "aloneLeave");
+    if (state.autoPaused && status === AudioPlayerStatus.Paused) {
+      state.autoPaused = false;
+      state.player.unpause();
+      logPretty("NOWPLAY", "▶️ AUTO RESUME (listener back)", { tail: `guild=${guild.id}` });
+    }
+  }
+
+  if (idle && !state.stay247 && config.idleLeaveMinutes > 0) {
+    setPresenceTimer(state, "idleLeave", config.idleLeaveMinutes * 60000, () => {
+      const stillIdle = !state.current || state.player.state.status === AudioPlayerStatus.Paused;
+      if (stillIdle && !state.stay247) autoLeave(guild, state, "👋 ออกจากห้องเสียงเพราะไม่ได้เล่นเพลงนานเกินไป");
+    });
+  } else {
+    clearPresenceTimer(state, "idleLeave");
+  }
+}
+
+function autoLeave(guild, state, notice){
+  logPretty("NOWPLAY", "👋 AUTO LEAVE", { tail: `guild=${guild.id}` });
+  const textChannelId = state.current?.textChannelId || state.lastPlayed?.textChannelId;
+  const hadPlayer = Boolean(state.current || state.queue.length);
+  leaveVoice(guild, state);
+  resetAfterVoiceLoss(guild, state, notice);
+  if (!hadPlayer && textChannelId) sendToTextChannel(guild, textChannelId, notice);
+}
+
+/**
+ * Follow the bot when someone drags it into another voice channel: point the
+ * current and queued items at the new channel so later joins/rejoins use it.
+ */
+function handleBotVoiceMove(oldState, newState){
+  if (newState.id !== client.user?.id) return;
+  if (!oldState.channelId || !newState.channelId || oldState.channelId === newState.channelId) return;
+  const state = guildStates.get(newState.guild.id);
+  if (!state) return;
+  for (const item of [state.current, ...state.queue]) {
+    if (item) item.voiceChannelId = newState.channelId;
+  }
+  commitGuildState(state);
+  logPretty("NOWPLAY", "🔀 MOVED VOICE CHANNEL", { tail: `guild=${newState.guild.id} to=${newState.channelId}` });
+}
 
 /* ------------------------------ yt-dlp helpers -------------------------------- */
-async function getTitle(input){
+/**
+ * Normalise a yt-dlp info dict (full or flat playlist entry) into the
+ * metadata queue items carry.
+ *
+ * @returns {{ title: string, url: string|null, duration: number|null, uploader: string|null, thumbnail: string|null, isLive: boolean }}
+ */
+function trackMetaFromInfo(e){
+  return {
+    title: e?.title || e?.id || "unknown",
+    url: e?.webpage_url || e?.url || (e?.id ? `https://www.youtube.com/watch?v=${e.id}` : null),
+    duration: Number(e?.duration) || null,
+    uploader: e?.uploader || e?.channel || null,
+    thumbnail: e?.thumbnail || e?.thumbnails?.[e.thumbnails.length - 1]?.url || null,
+    isLive: Boolean(e?.is_live) || e?.live_status === "is_live",
+  };
+}
+/** Look up metadata for a URL or search query (first search result). */
+async function getTrackInfo(input){
   try {
-    const info = await ytdlp(input, ytdlpOpts({ dumpSingleJson: true }));
-    if (info?.title) return info.title;
+    const target = isUrl(input) ? input : `ytsearch1:${input}`;
+    const info = await ytdlp(target, ytdlpOpts({ dumpSingleJson: true, "no-playlist": true }));
+    const entry = info?.entries ? info.entries[0] : info;
+    if (entry) return trackMetaFromInfo(entry);
   } catch {}
-  return input;
+  return { title: input, url: isUrl(input) ? input : null, duration: null, uploader: null, thumbnail: null, isLive: false };
 }
 async function resolveFirstVideoUrl(query){
   if (isUrl(query)) return query;
+  const started = Date.now();
   try {
     const out = await ytdlp(`ytsearch1:${query}`, ytdlpOpts({ dumpSingleJson: true }));
-    return out?.entries?.[0]?.webpage_url || null;
+    observeYtdlpResolve("search", started);
+    const url = out?.entries?.[0]?.webpage_url || null;
+    if (!url) metrics.ytdlpResolveFailures.search++;
+    return url;
   } catch (e) {
+    metrics.ytdlpResolveFailures.search++;
     logPretty("ERROR", "search resolve fail: " + (e?.message || e));
     return null;
   }
 }
 async function getDirectAudioUrlAndHeaders(input) {
-  const info = await ytdlp(input, ytdlpOpts({ dumpSingleJson: true, f: "bestaudio/best" }));
+  const started = Date.now();
+  let info;
+  try {
+    info = await ytdlp(input, ytdlpOpts({ dumpSingleJson: true, f: "bestaudio/best" }));
+  } catch (e) {
+    metrics.ytdlpResolveFailures.media++;
+    throw e;
+  }
+  observeYtdlpResolve("media", started);
   const url = info?.url;
   const headers = info?.http_headers || {};
-  if (!url) throw new Error("yt-dlp did not return media url");
-  return { url, headers };
+  if (!url) {
+    metrics.ytdlpResolveFailures.media++;
+    throw new Error("yt-dlp did not return media url");
+  }
+  return { url, headers, duration: Number(info?.duration) || null };
 }
 function buildFfmpegHeadersString(h) {
   const merged = {
@@ -559,7 +1499,7 @@ function buildFfmpegHeadersString(h) {
   };
   return Object.entries(merged).map(([k,v]) => `${k}: ${v}`).join("\r\n");
 }
-function spawnFfmpegFromDirectUrl(url, headersStr) {
+function spawnFfmpegFromDirectUrl(url, headersStr, { startMs = 0, audioFilter = "" } = {}) {
   if (!FFMPEG_AVAILABLE) throw new Error("ffmpeg binary not available");
 
   // Build argument list dynamically based off the audio/network config
@@ -568,6 +1508,15 @@ function spawnFfmpegFromDirectUrl(url, headersStr) {
   // Base logging and banner settings
   a.push("-loglevel", "info", "-hide_banner");
 
+  pushUrlInputArgs(a, url, headersStr, startMs);
+  return spawnOpusEncoder(a, audioFilter);
+}
+
+/**
+ * Append the input options for a network source (reconnects, buffering,
+ * seek offset, HTTP headers) and the `-i` for `url` to `a`.
+ */
+function pushUrlInputArgs(a, url, headersStr, startMs = 0) {
   // Reconnect logic with configurable max delay
   a.push(
     "-reconnect", "1",
@@ -591,9 +1540,60 @@ function spawnFfmpegFromDirectUrl(url, headersStr) {
     a.push("-analyzeduration", String(us), "-probesize", "256k");
   }
 
-  // Pass through HTTP headers and input URL
-  a.push("-headers", headersStr + "\r\n", "-i", url);
+  // Start part-way into the track (resume/seek); -ss before -i seeks the input
+  if (startMs > 0) {
+    a.push("-ss", (startMs / 1000).toFixed(3));
+  }
+
+  // Pass through HTTP headers (yt-dlp sources only) and input URL
+  if (headersStr) a.push("-headers", headersStr + "\r\n");
+  a.push("-i", url);
+}
+
+/** Encode a local file (library track or cached Ogg/Opus) from `startMs`. */
+function spawnFfmpegFromFile(file, { startMs = 0, audioFilter = "" } = {}) {
+  if (!FFMPEG_AVAILABLE) throw new Error("ffmpeg binary not available");
+  const a = ["-loglevel", "info", "-hide_banner"];
+  pushFileInputArgs(a, file, startMs);
+  return spawnOpusEncoder(a, audioFilter);
+}
+
+function pushFileInputArgs(a, file, startMs = 0) {
+  if (startMs > 0) a.push("-ss", (startMs / 1000).toFixed(3));
+  a.push("-i", file);
+}
+
+/** Append the input arguments for a source from openTrackInput. */
+function pushTrackInputArgs(a, input, startMs = 0) {
+  if (input.isFile) pushFileInputArgs(a, input.url, startMs);
+  else pushUrlInputArgs(a, input.url, input.headersStr, startMs);
+}
+
+/**
+ * Append the output options from the audio config (channels, sample rate,
+ * filters, Opus encoder settings) to the input arguments `a` and spawn ffmpeg
+ * writing Ogg/Opus to stdout.
+ */
+function spawnOpusEncoder(a, audioFilter) {
+  pushOpusOutputArgs(a, audioFilter, "pipe:1");
+
+  const ff = spawn(FFMPEG || "ffmpeg", a, { stdio: ["ignore", "pipe", "pipe"] });
+  ff.on("error", (e) => {
+    metrics.ffmpegSpawnErrors++;
+    logPretty("ERROR", "ffmpeg spawn error: " + (e?.message || e));
+  });
+  ff.stdout.on("error", swallowPipeError);
+  ff.stderr.on("error", swallowPipeError);
+  ff.stderr.on("data", d => {
+    try {
+      logPretty("LOG", "[ffmpeg] " + d.toString().trim());
+    } catch {}
+  });
+  return ff;
+}
 
+/** Append the output options for one Ogg/Opus output written to `target` (see spawnOpusEncoder). */
+function pushOpusOutputArgs(a, audioFilter, target) {
   // Drop any video streams
   a.push("-vn");
 
@@ -601,8 +1601,8 @@ function spawnFfmpegFromDirectUrl(url, headersStr) {
   a.push("-ac", String(config.audioChannels));
   a.push("-ar", String(config.audioSampleRate));
 
-  // Optional audio filter chain
-  const afChain = (config.audioFilter || "").trim();
+  // Optional audio filter chain (global .env filter + per-guild filters)
+  const afChain = (audioFilter || "").trim();
   if (afChain) {
     a.push("-af", afChain);
   }
@@ -643,26 +1643,522 @@ function spawnFfmpegFromDirectUrl(url, headersStr) {
     a.push(...config.ffmpegExtraArgs.trim().split(/\s+/));
   }
 
-  // Output container and pipe to stdout
-  a.push("-f", "ogg", "pipe:1");
+  // Output container and target (stdout or a file)
+  a.push("-f", "ogg", target);
+}
 
-  const ff = spawn(FFMPEG || "ffmpeg", a, { stdio: ["ignore", "pipe", "pipe"] });
-  ff.on("error", (e) => logPretty("ERROR", "ffmpeg spawn error: " + (e?.message || e)));
-  ff.stdout.on("error", swallowPipeError);
-  ff.stderr.on("error", swallowPipeError);
-  ff.stderr.on("data", d => {
+/* ------------------ Local library & direct audio sources --------------------- */
+// Besides anything yt-dlp resolves, queue items can be `kind: "file"` (a file
+// under MUSIC_LIBRARY_DIR or a /playfile upload; source is its absolute path)
+// or `kind: "http"` (a plain audio URL). Both skip yt-dlp and go straight
+// into the same ffmpeg/Opus pipeline. Titles and lengths come from ffprobe,
+// falling back to the file name. The library is indexed into
+// DATA_DIR/library-index.json; a rescan only probes new or changed files.
+const AUDIO_FILE_EXTENSIONS = new Set([".mp3", ".flac", ".ogg", ".oga", ".opus", ".m4a", ".aac", ".wav", ".wma", ".aiff", ".webm"]);
+const FFPROBE_TIMEOUT_MS = 15000;
+const DIRECT_URL_PROBE_TIMEOUT_MS = 5000;
+// Station playlists (.pls/.m3u) are tiny; never read more than this
+const PLAYLIST_PROBE_MAX_BYTES = 64 * 1024;
+const PLAYLIST_EXTENSIONS = [".m3u", ".m3u8", ".pls"];
+const LIBRARY_INDEX_FILE = path.join(DATA_DIR, "library-index.json");
+// Relative paths are resolved from cwd
+const LIBRARY_DIR = config.libraryDir ? path.resolve(config.libraryDir) : "";
+// [{ path (relative to LIBRARY_DIR), title, artist, album, duration, size, mtimeMs }]
+let libraryIndex = LIBRARY_DIR ? readJsonFile(LIBRARY_INDEX_FILE, []) : [];
+let libraryScan = null;
+
+// /playfile uploads are copied to DATA_DIR/uploads/<guildId>/ because Discord
+// attachment links expire, while queue items are restored after restarts and
+// kept in playlists and history. Every play bumps the copy's mtime; copies
+// not played for UPLOAD_RETENTION_DAYS are removed on startup.
+const UPLOAD_DIR = path.join(DATA_DIR, "uploads");
+const UPLOAD_MAX_BYTES = 100 * 1024 * 1024;
+const UPLOAD_DOWNLOAD_TIMEOUT_MS = 2 * 60 * 1000;
+const UPLOAD_RETENTION_DAYS = 30;
+if (fs.existsSync(UPLOAD_DIR)) {
+  const cutoff = Date.now() - UPLOAD_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  for (const guildDir of fs.readdirSync(UPLOAD_DIR)) {
+    const dir = path.join(UPLOAD_DIR, guildDir);
     try {
-      logPretty("LOG", "[ffmpeg] " + d.toString().trim());
+      for (const f of fs.readdirSync(dir)) {
+        const file = path.join(dir, f);
+        if (f.endsWith(".part") || fs.statSync(file).mtimeMs < cutoff) fs.rmSync(file, { force: true });
+      }
     } catch {}
-  });
-  return ff;
+  }
 }
 
-/* --------------------- playlist helper: fetch entries list -------------------- */
-/** คืนอาเรย์ [{ title, url }] จากลิงก์ playlist/mix หรือจากคำค้น (ytsearchN:) */
-async function fetchPlaylistEntries(input, limit = 25) {
-  const max = Math.min(Math.max(Number(limit) || 25, 1), 50);
-  const entries = [];
+function isUploadFile(p){ return p.startsWith(UPLOAD_DIR + path.sep); }
+
+/**
+ * Copy a Discord attachment into UPLOAD_DIR and return the local path. The
+ * same attachment is only downloaded once.
+ *
+ * @param {string} guildId
+ * @param {import('discord.js').Attachment} attachment
+ * @returns {Promise<string>}
+ */
+async function storeUpload(guildId, attachment){
+  if (attachment.size > UPLOAD_MAX_BYTES) throw new Error(`upload too large (${attachment.size} bytes)`);
+  const dir = path.join(UPLOAD_DIR, guildId);
+  await fs.promises.mkdir(dir, { recursive: true });
+  const ext = path.extname(attachment.name || "").toLowerCase();
+  const file = path.join(dir, attachment.id + (AUDIO_FILE_EXTENSIONS.has(ext) ? ext : ""));
+  if (fs.existsSync(file)) return file;
+  const res = await fetch(attachment.url, { signal: AbortSignal.timeout(UPLOAD_DOWNLOAD_TIMEOUT_MS) });
+  if (!res.ok || !res.body) throw new Error(`upload download failed (HTTP ${res.status})`);
+  const tmp = `${file}.${Date.now()}.part`;
+  try {
+    await pipeline(Readable.fromWeb(res.body), fs.createWriteStream(tmp));
+    await fs.promises.rename(tmp, file);
+  } catch (e) {
+    fs.rm(tmp, { force: true }, () => {});
+    throw e;
+  }
+  return file;
+}
+
+function hasAudioExtension(p){ return AUDIO_FILE_EXTENSIONS.has(path.extname(p).toLowerCase()); }
+
+/** Title from a file path or URL: base name without extension, underscores as spaces. */
+function titleFromFileName(p){
+  let name = p;
+  try { if (isUrl(p)) name = decodeURIComponent(new URL(p).pathname); } catch {}
+  return path.basename(name, path.extname(name)).replace(/_+/g, " ").trim() || p;
+}
+
+/**
+ * Read tags and duration of a file or URL with ffprobe. Resolves to null when
+ * ffprobe is missing, times out or the input is not media.
+ *
+ * @param {string} input
+ * @returns {Promise<{ title: string|null, artist: string|null, album: string|null, duration: number|null } | null>}
+ */
+function probeAudio(input){
+  return new Promise((resolve) => {
+    let out = "";
+    let settled = false;
+    const finish = (v) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      resolve(v);
+    };
+    const p = spawn(config.ffprobePath, ["-v", "quiet", "-print_format", "json", "-show_format", input], { stdio: ["ignore", "pipe", "ignore"] });
+    const timer = setTimeout(() => {
+      try { p.kill("SIGKILL"); } catch {}
+      finish(null);
+    }, FFPROBE_TIMEOUT_MS);
+    p.on("error", () => finish(null));
+    p.stdout.on("data", (d) => { out += d; });
+    p.on("close", (code) => {
+      if (code !== 0) return finish(null);
+      try {
+        const format = JSON.parse(out).format || {};
+        // Tag names differ in case between containers (TITLE vs title)
+        const tags = Object.fromEntries(Object.entries(format.tags || {}).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+        finish({
+          title: tags.title || null,
+          artist: tags.artist || tags.album_artist || null,
+          album: tags.album || null,
+          duration: Number(format.duration) || null,
+        });
+      } catch {
+        finish(null);
+      }
+    });
+  });
+}
+
+/**
+ * Track metadata (see trackMetaFromInfo) for a direct source.
+ *
+ * @param {"file"|"http"} kind
+ * @param {string} source Absolute path or URL
+ * @param {string} [fileName] Name to fall back to when there is no title tag
+ */
+async function directAudioMeta(kind, source, fileName){
+  const tags = await probeAudio(source);
+  return {
+    kind,
+    title: tags?.title || titleFromFileName(fileName || source),
+    url: source,
+    duration: tags?.duration || null,
+    uploader: tags?.artist || null,
+    thumbnail: null,
+    isLive: false,
+  };
+}
+
+/**
+ * Check whether `input` is a plain http(s) audio source rather than a page for
+ * yt-dlp, by looking at the response headers. Only Icecast/Shoutcast (icy-*
+ * headers) and live HLS (see isLiveHls) count as live; .pls/.m3u station
+ * playlists are followed to their first stream. URLs without an audio or
+ * playlist extension get a HEAD request first so web pages are turned away
+ * without downloading anything.
+ *
+ * @param {string} input
+ * @returns {Promise<{ url: string, live: boolean, name: string|null } | null>}
+ */
+async function probeDirectAudio(input, depth = 0){
+  // Malformed "URLs" are left to the search like any other query
+  if (!/^https?:\/\//i.test(input) || !isUrl(input) || extractVideoId(input)) return null;
+  const inputPath = new URL(input).pathname;
+  if (!hasAudioExtension(inputPath) && !PLAYLIST_EXTENSIONS.includes(path.extname(inputPath).toLowerCase())) {
+    // Stream servers that mishandle HEAD still get the GET below
+    const head = await fetch(input, {
+      method: "HEAD",
+      redirect: "follow",
+      signal: AbortSignal.timeout(DIRECT_URL_PROBE_TIMEOUT_MS),
+    }).catch(() => null);
+    if (head?.ok && /^(text\/html|application\/(json|xhtml))/i.test(head.headers.get("content-type") || "")) return null;
+  }
+  let res;
+  try {
+    res = await fetch(input, {
+      headers: { "Icy-MetaData": "1" },
+      redirect: "follow",
+      signal: AbortSignal.timeout(DIRECT_URL_PROBE_TIMEOUT_MS),
+    });
+  } catch {
+    // Unreachable right now: trust an audio file extension
+    return hasAudioExtension(inputPath) ? { url: input, live: false, name: null } : null;
+  }
+  if (!res.ok) {
+    res.body?.cancel().catch(() => {});
+    return null;
+  }
+  const type = (res.headers.get("content-type") || "").split(";")[0].trim().toLowerCase();
+  const finalPath = new URL(res.url || input).pathname;
+
+  if (/mpegurl|scpls/.test(type) || PLAYLIST_EXTENSIONS.includes(path.extname(finalPath).toLowerCase())) {
+    const text = await readTextHead(res, PLAYLIST_PROBE_MAX_BYTES);
+    // HLS is handed to ffmpeg as is
+    if (text.includes("#EXT-X-")) return { url: input, live: await isLiveHls(text, res.url || input), name: null };
+    const next = depth < 2 && firstStreamInPlaylist(text);
+    return next ? probeDirectAudio(new URL(next, input).href, depth + 1) : null;
+  }
+
+  res.body?.cancel().catch(() => {});
+  const icyName = res.headers.get("icy-name");
+  const isIcy = Boolean(icyName || res.headers.get("icy-metaint") || res.headers.get("icy-br"));
+  const isAudio = /^(audio\/|application\/ogg)/.test(type) || (!type && hasAudioExtension(finalPath));
+  if (!isAudio && !isIcy) return null;
+  // A missing Content-Length is not enough: finite files are often sent chunked
+  return { url: input, live: isIcy, name: icyName?.trim() || null };
+}
+
+/**
+ * Whether an HLS playlist is live. Only a media playlist can tell (no end tag
+ * and no VOD type); a master playlist never has an end tag, so its first
+ * variant is checked instead, and it counts as finite if that cannot be read.
+ * A playlist too long to read in full is a finished one.
+ */
+async function isLiveHls(text, baseUrl, depth = 0){
+  if (text.includes("#EXT-X-STREAM-INF")) {
+    const lines = text.split(/\r?\n/).map(l => l.trim());
+    const variant = lines.find((l, i) => l && !l.startsWith("#") && lines[i - 1]?.startsWith("#EXT-X-STREAM-INF"));
+    if (!variant || depth > 0) return false;
+    try {
+      const url = new URL(variant, baseUrl).href;
+      const res = await fetch(url, { redirect: "follow", signal: AbortSignal.timeout(DIRECT_URL_PROBE_TIMEOUT_MS) });
+      if (!res.ok) {
+        res.body?.cancel().catch(() => {});
+        return false;
+      }
+      return isLiveHls(await readTextHead(res, PLAYLIST_PROBE_MAX_BYTES), res.url || url, depth + 1);
+    } catch {
+      return false;
+    }
+  }
+  if (Buffer.byteLength(text) >= PLAYLIST_PROBE_MAX_BYTES) return false;
+  return !text.includes("#EXT-X-ENDLIST") && !/#EXT-X-PLAYLIST-TYPE:\s*VOD/i.test(text);
+}
+
+/** The first `maxBytes` of a response body as text; the rest is not downloaded. */
+async function readTextHead(res, maxBytes){
+  const chunks = [];
+  let size = 0;
+  try {
+    for await (const chunk of res.body) {
+      chunks.push(chunk);
+      size += chunk.length;
+      if (size >= maxBytes) break;
+    }
+  } catch {}
+  res.body?.cancel().catch(() => {});
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/** First stream URL of a .pls (FileN=) or .m3u (plain lines) playlist. */
+function firstStreamInPlaylist(text){
+  const pls = /^File\d+=(.+)$/im.exec(text);
+  if (pls) return pls[1].trim();
+  return text.split(/\r?\n/).map(l => l.trim()).find(l => l && !l.startsWith("#") && /^https?:\/\//i.test(l)) || null;
+}
+
+/** Track metadata for a never-ending stream; `name` falls back to the host. */
+function liveStreamMeta(url, name){
+  return {
+    kind: "http",
+    title: name || new URL(url).hostname,
+    url,
+    duration: null,
+    uploader: null,
+    thumbnail: null,
+    isLive: true,
+  };
+}
+
+/** Metadata for a /play query: a direct audio URL or stream, or whatever yt-dlp finds. */
+async function getQueryMeta(query){
+  const direct = await probeDirectAudio(query);
+  if (direct?.live) return liveStreamMeta(direct.url, direct.name);
+  if (direct) return directAudioMeta("http", direct.url);
+  return getTrackInfo(query);
+}
+
+/** Recursively list audio files under `dir` as paths relative to `root`. */
+async function listAudioFiles(root, dir = root, out = []){
+  let dirents = [];
+  try {
+    dirents = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    logPretty("ERROR", "library read fail: " + (e?.message || e), { tail: `dir=${dir}` });
+  }
+  for (const d of dirents) {
+    const full = path.join(dir, d.name);
+    if (d.isDirectory()) await listAudioFiles(root, full, out);
+    else if (d.isFile() && hasAudioExtension(d.name)) out.push(path.relative(root, full));
+  }
+  return out;
+}
+
+/**
+ * Re-index MUSIC_LIBRARY_DIR. Unchanged files (same size and mtime) keep
+ * their entry; new ones are probed one at a time. Concurrent calls share one
+ * scan.
+ *
+ * @returns {Promise<number>} Number of indexed tracks
+ */
+function scanLibrary(){
+  if (!LIBRARY_DIR) return Promise.resolve(0);
+  if (libraryScan) return libraryScan;
+  libraryScan = (async () => {
+    const started = Date.now();
+    const known = new Map(libraryIndex.map(e => [e.path, e]));
+    const next = [];
+    let probed = 0;
+    for (const rel of await listAudioFiles(LIBRARY_DIR)) {
+      let st;
+      try { st = await fs.promises.stat(path.join(LIBRARY_DIR, rel)); } catch { continue; }
+      const old = known.get(rel);
+      if (old && old.size === st.size && old.mtimeMs === st.mtimeMs) {
+        next.push(old);
+        continue;
+      }
+      const tags = await probeAudio(path.join(LIBRARY_DIR, rel));
+      probed++;
+      next.push({
+        path: rel,
+        title: tags?.title || titleFromFileName(rel),
+        artist: tags?.artist || null,
+        album: tags?.album || null,
+        duration: tags?.duration || null,
+        size: st.size,
+        mtimeMs: st.mtimeMs,
+      });
+    }
+    libraryIndex = next;
+    try {
+      writeJsonFile(LIBRARY_INDEX_FILE, libraryIndex);
+    } catch (e) {
+      logPretty("ERROR", "save library index fail: " + (e?.message || e));
+    }
+    logPretty("LOG", `📁 library indexed: ${next.length} tracks`, { tail: `probed=${probed} took=${Date.now() - started}ms` });
+    return next.length;
+  })().finally(() => { libraryScan = null; });
+  return libraryScan;
+}
+
+/**
+ * Library entries matching every word of `query` (title, artist, album or
+ * path), title matches first.
+ */
+function searchLibrary(query, limit = LIBRARY_SEARCH_RESULTS){
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!terms.length) return [];
+  return libraryIndex
+    .map(e => {
+      const haystack = [e.title, e.artist, e.album, e.path].filter(Boolean).join(" ").toLowerCase();
+      if (!terms.every(t => haystack.includes(t))) return null;
+      const title = (e.title || "").toLowerCase();
+      return { e, score: terms.filter(t => title.includes(t)).length };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(x => x.e);
+}
+
+/** Track metadata for a library entry. */
+function libraryEntryMeta(e){
+  return {
+    kind: "file",
+    title: e.title,
+    url: path.join(LIBRARY_DIR, e.path),
+    duration: e.duration || null,
+    uploader: e.artist || null,
+    thumbnail: null,
+    isLive: false,
+  };
+}
+
+/* --------------------------- Live streams & radio ----------------------------- */
+// Live items (YouTube lives, Icecast/Shoutcast/HLS radio) never finish on
+// their own: when the stream ends or errors it is reconnected after an
+// exponential backoff, for as long as it takes, until someone skips or stops
+// it. Track loop, the queue loop and the one-shot restartGuard do not apply.
+// For Icecast/Shoutcast a second connection reads the ICY metadata so /np can
+// show the song that is on air. Saved stations for /radio live in
+// DATA_DIR/radio/<guildId>.json keyed by lower-cased name.
+const LIVE_RECONNECT_BASE_MS = 1000;
+const LIVE_RECONNECT_MAX_MS = 60 * 1000;
+// A stream that played at least this long before dropping starts the backoff over
+const LIVE_STABLE_MS = 60 * 1000;
+const RADIO_DIR = path.join(DATA_DIR, "radio");
+if (!fs.existsSync(RADIO_DIR)) fs.mkdirSync(RADIO_DIR, { recursive: true });
+const RADIO_MAX_STATIONS = 50;
+
+/**
+ * Reconnect the live `item` after the current backoff delay. Keeps retrying
+ * until it plays again or stops being the current track.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} state
+ * @param {Object} item
+ * @param {number} [playedMs=0] How long the stream had been playing before it dropped
+ */
+function scheduleLiveReconnect(guild, state, item, playedMs = 0){
+  if (playedMs >= LIVE_STABLE_MS) state.liveRetries = 0;
+  const delay = Math.min(LIVE_RECONNECT_MAX_MS, LIVE_RECONNECT_BASE_MS * 2 ** state.liveRetries);
+  if (state.liveRetries === 0) {
+    sendToTextChannel(guild, item.textChannelId, `📡 สตรีม **${item.title}** หลุด กำลังเชื่อมต่อใหม่…`).catch(() => {});
+  }
+  state.liveRetries++;
+  logPretty("ERROR", `live stream dropped, reconnecting in ${delay / 1000}s`, { tail: `title="${item.title}" attempt=${state.liveRetries}` });
+  clearTimeout(state.liveReconnectTimer);
+  state.liveReconnectTimer = setTimeout(async () => {
+    state.liveReconnectTimer = null;
+    if (state.current !== item) return;
+    try {
+      await startPlayback(guild, item, state);
+      logPretty("NOWPLAY", `📡 RECONNECTED: ${item.title}`, { tail: `attempt=${state.liveRetries}` });
+    } catch (e) {
+      logPretty("ERROR", "live reconnect fail: " + (e?.message || e));
+      if (state.current === item) scheduleLiveReconnect(guild, state, item);
+    }
+  }, delay);
+}
+
+/** Cancel a pending live reconnect; returns whether one was pending. */
+function cancelLiveReconnect(state){
+  if (!state.liveReconnectTimer) return false;
+  clearTimeout(state.liveReconnectTimer);
+  state.liveReconnectTimer = null;
+  return true;
+}
+
+/**
+ * Follow the ICY metadata of an Icecast/Shoutcast stream and call `onTitle`
+ * with each new StreamTitle. Uses its own connection so the audio pipeline
+ * stays a plain ffmpeg input. Servers that answer with a bare "ICY 200 OK"
+ * status line (old Shoutcast) are not understood by fetch and are skipped.
+ *
+ * @param {string} url
+ * @param {(title: string) => void} onTitle
+ * @returns {() => void} Stops watching
+ */
+function watchIcyMetadata(url, onTitle){
+  const ac = new AbortController();
+  (async () => {
+    const res = await fetch(url, { headers: { "Icy-MetaData": "1" }, redirect: "follow", signal: ac.signal });
+    const metaint = Number(res.headers.get("icy-metaint"));
+    if (!res.ok || !(metaint > 0)) {
+      ac.abort();
+      return;
+    }
+    // The body is <metaint audio bytes><1 length byte (x16)><metadata> repeated
+    let audioLeft = metaint;
+    let metaLeft = null;
+    let metaChunks = [];
+    for await (const chunk of res.body) {
+      let i = 0;
+      while (i < chunk.length) {
+        if (audioLeft > 0) {
+          const n = Math.min(audioLeft, chunk.length - i);
+          audioLeft -= n;
+          i += n;
+        } else if (metaLeft === null) {
+          metaLeft = chunk[i++] * 16;
+          metaChunks = [];
+          if (metaLeft === 0) {
+            metaLeft = null;
+            audioLeft = metaint;
+          }
+        } else {
+          const n = Math.min(metaLeft, chunk.length - i);
+          metaChunks.push(Buffer.from(chunk.subarray(i, i + n)));
+          metaLeft -= n;
+          i += n;
+          if (metaLeft === 0) {
+            const m = /StreamTitle='(.*?)';/s.exec(Buffer.concat(metaChunks).toString("utf8"));
+            if (m && m[1].trim()) onTitle(m[1].trim());
+            metaLeft = null;
+            audioLeft = metaint;
+          }
+        }
+      }
+    }
+  })().catch((e) => {
+    if (!ac.signal.aborted) logPretty("ERROR", "icy metadata fail: " + (e?.message || e));
+  });
+  return () => ac.abort();
+}
+
+/** Record a new ICY title on the live `item` and refresh /np and the dashboard. */
+function handleStreamTitle(guild, state, item, title){
+  if (state.current !== item || item.streamTitle === title) return;
+  item.streamTitle = title;
+  logPretty("NOWPLAY", `📻 ON AIR: ${title}`, { tail: `station="${item.title}"` });
+  commitGuildState(state);
+  updateNowPlayingMessage(guild, state).catch(() => {});
+}
+
+function radioFile(guildId){ return path.join(RADIO_DIR, `${guildId}.json`); }
+function readRadioStations(guildId){ return readNameMap(radioFile(guildId)); }
+function writeRadioStations(guildId, stations){ writeJsonFile(radioFile(guildId), stations); }
+
+/**
+ * Metadata for a radio station URL: a direct stream (always treated as live)
+ * or a live stream yt-dlp understands. Null when the URL is neither.
+ *
+ * @param {string} url
+ * @param {string} [name] Saved station name, used as the title
+ */
+async function radioStationMeta(url, name){
+  const direct = await probeDirectAudio(url);
+  if (direct) return liveStreamMeta(direct.url, name || direct.name);
+  const info = await getTrackInfo(url);
+  return info.isLive ? { ...info, title: name || info.title } : null;
+}
+
+/* --------------------- playlist helper: fetch entries list -------------------- */
+/** คืนอาเรย์ metadata [{ title, url, duration, uploader, thumbnail, isLive }] จากลิงก์ playlist/mix หรือจากคำค้น (ytsearchN:) */
+async function fetchPlaylistEntries(input, limit = 25) {
+  const max = Math.min(Math.max(Number(limit) || 25, 1), 50);
+  const entries = [];
   try {
     if (isUrl(input)) {
       const info = await ytdlp(input, ytdlpOpts({
@@ -673,18 +2169,16 @@ async function fetchPlaylistEntries(input, limit = 25) {
       const arr = info?.entries || [];
       for (const e of arr) {
         if (entries.length >= max) break;
-        const url = e?.webpage_url || e?.url || (e?.id ? `https://www.youtube.com/watch?v=${e.id}` : null);
-        const title = e?.title || e?.id || "unknown";
-        if (url) entries.push({ title, url });
+        const meta = trackMetaFromInfo(e);
+        if (meta.url) entries.push(meta);
       }
     } else {
       const n = max;
       const out = await ytdlp(`ytsearch${n}:${input}`, ytdlpOpts({ dumpSingleJson: true }));
       const arr = out?.entries || [];
       for (const e of arr) {
-        const url = e?.webpage_url || e?.url || (e?.id ? `https://www.youtube.com/watch?v=${e.id}` : null);
-        const title = e?.title || e?.id || "unknown";
-        if (url) entries.push({ title, url });
+        const meta = trackMetaFromInfo(e);
+        if (meta.url) entries.push(meta);
       }
     }
   } catch (err) {
@@ -693,147 +2187,1931 @@ async function fetchPlaylistEntries(input, limit = 25) {
   return entries.slice(0, max);
 }
 
-/* ------------------------------ Player helpers -------------------------------- */
-async function handlePlayerIdle(guild, state) {
-  cleanupCurrentPipeline(state);
-  state.currentResource = null;
-  if (!state.current) return;
+/* ------------------------------- Guild settings ------------------------------- */
+// Per-guild overrides edited with /settings, stored in
+// DATA_DIR/settings/<guildId>.json. Only keys a guild has set are written;
+// anything else falls back to the .env value in `config` (or null).
+const SETTINGS_DIR = path.join(DATA_DIR, "settings");
+if (!fs.existsSync(SETTINGS_DIR)) fs.mkdirSync(SETTINGS_DIR, { recursive: true });
+const GUILD_SETTING_DEFAULTS = {
+  defaultVolume: () => config.defaultVolume,
+  defaultLoop: () => config.defaultLoop,
+  maxVolume: () => config.maxVolume,
+  announceChannelId: () => null,
+  djRoleId: () => null,
+  maxTrackMinutes: () => config.maxTrackMinutes,
+};
+const guildSettingsCache = new Map();
 
-  const finished = state.current;
-  const manualSkip = state.skipRequested;
-  state.skipRequested = false;
+function guildSettingsFile(guildId){ return path.join(SETTINGS_DIR, `${guildId}.json`); }
 
-  logPretty("NOWPLAY", `⏭️ FINISHED: ${finished.title}`);
+function readGuildSettings(guildId){
+  if (!guildSettingsCache.has(guildId)) {
+    const saved = readJsonFile(guildSettingsFile(guildId), {});
+    guildSettingsCache.set(guildId, saved && typeof saved === "object" ? saved : {});
+  }
+  return guildSettingsCache.get(guildId);
+}
 
-  if (state.loopMode === "track" && !manualSkip) {
-    state.restartGuard.tried = false;
-    await playSame(guild, finished.textChannelId, finished, state);
-    return;
+/** The guild's value for `key`, or the .env default when it has not set one. */
+function getGuildSetting(guildId, key){
+  const own = readGuildSettings(guildId)[key];
+  return own !== undefined ? own : GUILD_SETTING_DEFAULTS[key]();
+}
+
+/**
+ * Merge `changes` into the guild's settings and persist them. A value of
+ * `undefined` removes the override so the .env default applies again.
+ */
+function updateGuildSettings(guildId, changes){
+  const settings = { ...readGuildSettings(guildId) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete settings[key];
+    else settings[key] = value;
   }
+  guildSettingsCache.set(guildId, settings);
+  try {
+    writeJsonFile(guildSettingsFile(guildId), settings);
+  } catch (e) {
+    logPretty("ERROR", "save settings fail: " + (e?.message || e));
+  }
+}
 
-  if (state.loopMode === "queue") {
-    state.queue.push({ ...finished });
+/** Human-readable value of a setting for /settings show. */
+function describeGuildSetting(guildId, key){
+  const value = getGuildSetting(guildId, key);
+  const isDefault = readGuildSettings(guildId)[key] === undefined;
+  let text;
+  if (key === "defaultVolume" || key === "maxVolume") text = `${value}%`;
+  else if (key === "defaultLoop") text = loopModeLabel(value);
+  else if (key === "announceChannelId") text = value ? `<#${value}>` : "ห้องที่สั่งเพลง";
+  else if (key === "djRoleId") text = value ? `<@&${value}>` : "ไม่มี (ทุกคนใช้ได้)";
+  else if (key === "maxTrackMinutes") text = value ? `${value} นาที` : "ไม่จำกัด";
+  return isDefault ? `${text} _(ค่าเริ่มต้น)_` : text;
+}
+
+/* --------------------------------- Play history ------------------------------- */
+// Finished tracks per guild, bounded to HISTORY_SIZE and stored in
+// DATA_DIR/history/<guildId>.json. Used by /history, /previous and to keep
+// autoplay from repeating itself.
+const HISTORY_DIR = path.join(DATA_DIR, "history");
+if (!fs.existsSync(HISTORY_DIR)) fs.mkdirSync(HISTORY_DIR, { recursive: true });
+// How many of the newest history entries autoplay avoids
+const AUTOPLAY_AVOID_RECENT = 50;
+
+function historyFile(guildId){ return path.join(HISTORY_DIR, `${guildId}.json`); }
+
+function loadHistory(guildId){
+  const saved = readJsonFile(historyFile(guildId), []);
+  return Array.isArray(saved) ? saved.slice(-config.historySize) : [];
+}
+
+/** Append a finished track to the guild's history and persist it. */
+function recordHistory(state, item){
+  state.history.push({
+    title: item.title,
+    source: item.source,
+    pageUrl: item.pageUrl || null,
+    duration: item.duration || null,
+    uploader: item.uploader || null,
+    thumbnail: item.thumbnail || null,
+    isLive: Boolean(item.isLive),
+    kind: item.kind || null,
+    requestedBy: item.requestedBy,
+    requestedById: item.requestedById || null,
+    playedAt: Date.now(),
+  });
+  if (state.history.length > config.historySize) state.history.splice(0, state.history.length - config.historySize);
+  try {
+    writeJsonFile(historyFile(state.guildId), state.history);
+  } catch (e) {
+    logPretty("ERROR", "save history fail: " + (e?.message || e));
   }
+}
 
-  state.current = null;
-  await playNext(guild, finished.textChannelId, state);
+/** Video IDs of the most recently played tracks (for recommendation dedup). */
+function recentHistoryIds(state, limit = AUTOPLAY_AVOID_RECENT){
+  return state.history.slice(-limit).map(h => extractVideoId(h.pageUrl || h.source)).filter(Boolean);
 }
 
-async function handlePlayerError(error, guild, state) {
-  logPretty("ERROR", `Player error: ${error?.message || error}`);
-  if (!state.current) return;
+/* ---------------------------- autoplay: related track ------------------------- */
+/**
+ * Pick a track related to `seed` from YouTube's mix (RD<id>) playlist,
+ * skipping anything played recently.
+ *
+ * @param {Object} seed The last finished queue item
+ * @param {string[]} recentIds Video IDs to avoid
+ * @returns {Promise<{ title: string, url: string } | null>}
+ */
+async function findRelatedTrack(seed, recentIds){
+  const id = extractVideoId(seed.pageUrl || seed.source);
+  if (!id) return null;
+  const mix = await fetchPlaylistEntries(`https://www.youtube.com/watch?v=${id}&list=RD${id}`, 25);
+  const seen = new Set([...recentIds, id]);
+  return mix.find(e => {
+    const vid = extractVideoId(e.url);
+    return vid && !seen.has(vid);
+  }) || null;
+}
 
-  if (!state.restartGuard.tried) {
-    state.restartGuard.tried = true;
-    logPretty("ERROR", "Attempting one-time stream restart due to premature close", { tail: `title="${state.current.title}"` });
-    await sendToTextChannel(guild, state.current.textChannelId, "🔁 สัญญาณหลุด กำลังลองเชื่อมต่อใหม่…");
-    await playSame(guild, state.current.textChannelId, state.current, state);
+/* ------------------------- Prefetch of the next track ------------------------- */
+// While a track plays, the page URL and direct media URL of queue[0] are
+// resolved in the background so the transition in playNext only has to start
+// ffmpeg. The prefetch is tied to the queue item object: if the queue changes
+// so that a different item is next, or the media URL is about to expire, the
+// result is discarded and resolved again.
+const PREFETCH_MAX_AGE_MS = 30 * 60 * 1000;
+// Treat media URLs as expired this long before their real expiry
+const MEDIA_URL_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/** Expiry timestamp (ms) embedded in a googlevideo media URL, if present. */
+function mediaUrlExpiry(url){
+  try {
+    const exp = Number(new URL(url).searchParams.get("expire"));
+    if (exp > 0) return exp * 1000;
+  } catch {}
+  return null;
+}
+
+/**
+ * Resolve a queue item to its page URL plus direct media URL and headers.
+ *
+ * @param {Object} item
+ * @returns {Promise<{ pageUrl: string, url: string, headers: Object, duration: number|null, expiresAt: number }>}
+ */
+async function resolvePlayableSource(item){
+  // Direct sources are played as they are
+  if (item.kind === "file" || item.kind === "http") {
+    if (item.kind === "file" && !fs.existsSync(item.source)) throw new Error("library file missing: " + item.source);
+    // Keeps the upload from being pruned as unused
+    if (item.kind === "file" && isUploadFile(item.source)) {
+      const now = new Date();
+      fs.utimes(item.source, now, now, () => {});
+    }
+    return { pageUrl: item.pageUrl, url: item.source, headers: null, duration: item.duration, expiresAt: Infinity };
+  }
+  // Items queued with metadata already know their canonical page URL
+  const pageUrl = item.pageUrl || await resolveFirstVideoUrl(item.source);
+  if (!pageUrl) {
+    throw new Error("cannot resolve page url");
+  }
+  const media = await getDirectAudioUrlAndHeaders(pageUrl);
+  const expiresAt = Math.min(mediaUrlExpiry(media.url) ?? Infinity, Date.now() + PREFETCH_MAX_AGE_MS) - MEDIA_URL_EXPIRY_MARGIN_MS;
+  return { pageUrl, ...media, expiresAt };
+}
+
+/**
+ * Drop a prefetch that no longer matches the head of the queue or whose media
+ * URL is about to expire, and start a new one if something is playing.
+ */
+function refreshPrefetch(state){
+  const next = state.queue[0];
+  if (state.prefetch && state.prefetch.item !== next) state.prefetch = null;
+  // The periodic position save lands here, so renew one interval ahead of expiry
+  if (state.prefetch && state.prefetch.expiresAt <= Date.now() + POSITION_SAVE_INTERVAL_MS) state.prefetch = null;
+  if (!next || !state.current || state.prefetch) return;
+  // Cached tracks play from disk and never need yt-dlp
+  if (findCachedAudio(next)) return;
+
+  const entry = { item: next, promise: null, expiresAt: Infinity };
+  // A failed prefetch stays in place (resolving to null) so it is not retried
+  // on every save; startPlayback then resolves the item itself
+  entry.promise = resolvePlayableSource(next).then((r) => {
+    entry.expiresAt = r.expiresAt;
+    return r;
+  }, (e) => {
+    logPretty("ERROR", "prefetch fail: " + (e?.message || e), { tail: `title="${next.title}"` });
+    return null;
+  });
+  state.prefetch = entry;
+}
+
+/** Hand over the prefetch for `item`, if there is one. */
+function takePrefetched(state, item){
+  const p = state.prefetch;
+  if (!p || p.item !== item) return null;
+  state.prefetch = null;
+  return p;
+}
+
+/* --------------------------------- Audio cache -------------------------------- */
+// Opt-in (AUDIO_CACHE=true) LRU cache of finished Ogg/Opus encodes in
+// DATA_DIR/audio-cache. A track is written while it plays from the network
+// (from the start, without per-guild filters) and kept only if ffmpeg exits
+// cleanly. Files are named <videoId>-<settings hash>.ogg so changing the
+// encoder settings never replays stale audio. Every hit bumps the file's
+// mtime and the least recently played files are evicted past AUDIO_CACHE_MAX_MB.
+const AUDIO_CACHE_DIR = path.join(DATA_DIR, "audio-cache");
+const AUDIO_CACHE_KEY = crypto.createHash("sha1").update(JSON.stringify([
+  config.audioChannels, config.audioSampleRate, config.opusBitrate, config.opusVbr, config.opusApplication,
+  config.opusFrameDuration, config.opusComplexity, config.audioFilter, config.ffmpegExtraArgs,
+])).digest("hex").slice(0, 12);
+// A `.part` file untouched for this long belongs to an encode that is gone
+const AUDIO_CACHE_PART_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+// Size of the finished entries, kept up to date as encodes are stored so the
+// directory only has to be scanned once the cap is exceeded
+let audioCacheBytes = 0;
+let audioCachePrune = null;
+if (config.audioCacheEnabled) {
+  if (!fs.existsSync(AUDIO_CACHE_DIR)) fs.mkdirSync(AUDIO_CACHE_DIR, { recursive: true });
+  for (const f of fs.readdirSync(AUDIO_CACHE_DIR)) {
+    const file = path.join(AUDIO_CACHE_DIR, f);
+    // Partial writes from a previous run are never completed
+    if (f.endsWith(".part")) fs.rmSync(file, { force: true });
+    else if (f.endsWith(".ogg")) audioCacheBytes += fs.statSync(file).size;
+  }
+  // The cap may have been lowered since the last run
+  if (audioCacheBytes > config.audioCacheMaxMb * 1024 * 1024) pruneAudioCache();
+}
+
+/** Cache path for `item`, or null when it cannot be cached (cache off, live, not a video). */
+function audioCacheFile(item){
+  if (!config.audioCacheEnabled || item.isLive) return null;
+  const id = extractVideoId(item.pageUrl || item.source);
+  return id ? path.join(AUDIO_CACHE_DIR, `${id}-${AUDIO_CACHE_KEY}.ogg`) : null;
+}
+
+/** Path of the cached encode of `item` if there is one. */
+function findCachedAudio(item){
+  const file = audioCacheFile(item);
+  return file && fs.existsSync(file) ? file : null;
+}
+
+/** Mark a cache entry as just played. */
+function touchCachedAudio(file){
+  try {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+  } catch {}
+}
+
+/**
+ * Tee ffmpeg's output into `file` while it plays and return the stream for
+ * the player. The file only becomes visible once ffmpeg exited cleanly, so a
+ * skipped, seeked or failed stream never leaves a truncated entry behind.
+ *
+ * @param {import('child_process').ChildProcess} ff
+ * @param {string} file
+ * @returns {NodeJS.ReadableStream}
+ */
+function cacheWhilePlaying(ff, file){
+  const tmp = `${file}.${Date.now()}.part`;
+  const out = fs.createWriteStream(tmp);
+  const playback = new PassThrough();
+  let failed = false;
+  out.on("error", (e) => {
+    failed = true;
+    ff.stdout.unpipe(out);
+    logPretty("ERROR", "audio cache write fail: " + (e?.message || e));
+  });
+  ff.stdout.pipe(playback);
+  ff.stdout.pipe(out);
+  ff.on("close", (code) => {
+    out.end(() => storeCachedAudio(tmp, file, code === 0 && !failed));
+  });
+  return playback;
+}
+
+/**
+ * Playback stream for an ffmpeg that also writes a cache file itself. Once the
+ * player lets go of it the rest of stdout is discarded rather than blocking
+ * ffmpeg, so the cache output still runs to the end.
+ */
+function detachablePlayback(ff){
+  const playback = new PassThrough();
+  ff.stdout.pipe(playback);
+  // Runs after pipe()'s own close handler has unpiped (and paused) stdout
+  playback.on("close", () => ff.stdout.resume());
+  return playback;
+}
+
+/** Move a finished `.part` encode into place, or drop it when it is incomplete. */
+function storeCachedAudio(tmp, file, complete){
+  if (complete) {
+    try {
+      // Two encodes of the same track can finish; the later one replaces the entry
+      let replaced = 0;
+      try { replaced = fs.statSync(file).size; } catch {}
+      fs.renameSync(tmp, file);
+      audioCacheBytes += fs.statSync(file).size - replaced;
+      if (audioCacheBytes > config.audioCacheMaxMb * 1024 * 1024) pruneAudioCache();
+      return;
+    } catch (e) {
+      logPretty("ERROR", "audio cache store fail: " + (e?.message || e));
+    }
+  }
+  fs.rm(tmp, { force: true }, () => {});
+}
+
+/**
+ * Delete the least recently played entries until the cache fits its size cap,
+ * along with `.part` files of encodes that never finished. Uses async fs so a
+ * large cache does not hold up voice playback; only one runs at a time.
+ */
+function pruneAudioCache(){
+  if (!audioCachePrune) {
+    audioCachePrune = scanAndPruneAudioCache()
+      .catch((e) => logPretty("ERROR", "audio cache prune fail: " + (e?.message || e)))
+      .finally(() => { audioCachePrune = null; });
+  }
+  return audioCachePrune;
+}
+
+async function scanAndPruneAudioCache(){
+  const entries = [];
+  for (const f of await fs.promises.readdir(AUDIO_CACHE_DIR)) {
+    const file = path.join(AUDIO_CACHE_DIR, f);
+    let st;
+    try { st = await fs.promises.stat(file); } catch { continue; }
+    if (f.endsWith(".part")) {
+      if (Date.now() - st.mtimeMs > AUDIO_CACHE_PART_MAX_AGE_MS) await fs.promises.rm(file, { force: true }).catch(() => {});
+    } else if (f.endsWith(".ogg")) {
+      entries.push({ file, size: st.size, mtimeMs: st.mtimeMs });
+    }
+  }
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  const maxBytes = config.audioCacheMaxMb * 1024 * 1024;
+  let total = entries.reduce((sum, x) => sum + x.size, 0);
+  for (const x of entries) {
+    if (total <= maxBytes) break;
+    try {
+      await fs.promises.rm(x.file, { force: true });
+      total -= x.size;
+    } catch {}
+  }
+  audioCacheBytes = total;
+}
+
+/* --------------------------------- Crossfade ---------------------------------- */
+// With /crossfade N the last N seconds of a track overlap the start of the
+// next one. Shortly before the fade point a second ffmpeg is started with both
+// sources as inputs (the outgoing track from the fade point, the next track
+// from its start) mixed by `acrossfade` into one Opus stream. It is already
+// buffered when the outgoing track reaches the fade point, so the player
+// switches over without a gap, and the mix then carries on as the next track.
+// Track loop, skips, live streams and tracks of unknown length keep the
+// plain cut.
+const CROSSFADE_CHECK_MS = 500;
+// How far ahead of the fade point the mix is started
+const CROSSFADE_PREPARE_MS = 8000;
+// Fades that could no longer start in time are left out for that track
+const CROSSFADE_MIN_LEAD_MS = 1500;
+
+/** Whether the current track may fade into queue[0]. */
+function canCrossfade(state){
+  const cur = state.current;
+  if (!state.crossfadeSeconds || !cur || !state.queue.length || state.restarting) return false;
+  if (state.player.state.status !== AudioPlayerStatus.Playing) return false;
+  if (state.loopMode === "track" || cur.isLive || !cur.duration) return false;
+  return cur.duration > state.crossfadeSeconds * 2;
+}
+
+/** Drop the prepared fade (and its ffmpeg), if any. */
+function cancelCrossfade(state){
+  const cf = state.crossfade;
+  if (!cf) return;
+  state.crossfade = null;
+  clearTimeout(cf.timer);
+  destroyPipe(cf.pipe);
+  // Make sure the plain cut that follows has the next track resolved
+  refreshPrefetch(state);
+}
+
+/**
+ * Spawn ffmpeg mixing the end of `from` (starting at `fadeAtMs`) into `to`
+ * (starting at `startMs`). Both sides get the guild's filter chain and a
+ * common format before acrossfade. With `cacheFile`, `to` is also encoded on
+ * its own into the audio cache, as startPlayback would have done.
+ */
+function spawnFfmpegCrossfade(state, from, to, { fadeAtMs, startMs = 0, seconds, cacheFile = null }) {
+  if (!FFMPEG_AVAILABLE) throw new Error("ffmpeg binary not available");
+  const a = ["-loglevel", "info", "-hide_banner"];
+  pushTrackInputArgs(a, from, fadeAtMs);
+  pushTrackInputArgs(a, to, startMs);
+  const format = `aformat=sample_rates=${config.audioSampleRate}:channel_layouts=${config.audioChannels === 1 ? "mono" : "stereo"}`;
+  const side = (input) => [buildAudioFilterChain(state, { includeBase: !input.cached }).chain, format].filter(Boolean).join(",");
+  const graph = [`[0:a]${side(from)}[a]`];
+  let tmp = null;
+  if (cacheFile) {
+    tmp = `${cacheFile}.${Date.now()}.part`;
+    // The cached copy gets AUDIO_FILTER only (-af cannot apply to graph outputs)
+    graph.push(`[1:a]asplit=2[in][raw]`, `[in]${side(to)}[b]`, `[raw]${(config.audioFilter || "").trim() || "anull"}[cache]`);
+    a.push("-filter_complex", [...graph, `[a][b]acrossfade=d=${seconds}[out]`].join(";"), "-map", "[cache]");
+    pushOpusOutputArgs(a, "", tmp);
+  } else {
+    graph.push(`[1:a]${side(to)}[b]`);
+    a.push("-filter_complex", [...graph, `[a][b]acrossfade=d=${seconds}[out]`].join(";"));
+  }
+  a.push("-map", "[out]");
+  const ff = spawnOpusEncoder(a, "");
+  if (tmp) ff.on("close", (code) => storeCachedAudio(tmp, cacheFile, code === 0));
+  return ff;
+}
+
+/**
+ * Open the next track, start the mix and schedule the switch for when the
+ * current track reaches `fadeAtMs`. A failed preparation stays in
+ * `state.crossfade` so this track ends with a plain cut instead of retrying.
+ */
+async function prepareCrossfade(guild, state, fadeAtMs){
+  const cf = { outgoing: state.current, incoming: state.queue[0], fadeAtMs, seconds: state.crossfadeSeconds, pipe: null, resource: null, timer: null, failed: false };
+  const from = state.currentPipe.input;
+  state.crossfade = cf;
+  try {
+    // The prefetch stays in place in case the fade is called off
+    const to = await openTrackInput(state, cf.incoming, { keepPrefetch: true });
+    if (state.crossfade !== cf) return;
+    const startMs = cf.incoming.startMs || 0;
+    // Same rule as startPlayback: only a full network encode without per-guild filters
+    const guildChain = buildAudioFilterChain(state, { includeBase: false }).chain;
+    const cacheFile = !to.cached && startMs === 0 && !guildChain ? audioCacheFile(cf.incoming) : null;
+    const ff = spawnFfmpegCrossfade(state, from, to, { fadeAtMs, startMs, seconds: cf.seconds, cacheFile });
+    cf.pipe = { ff, stream: cacheFile ? detachablePlayback(ff) : ff.stdout, input: to, caching: Boolean(cacheFile) };
+    const { stream, type } = await demuxProbe(cf.pipe.stream);
+    if (state.crossfade !== cf) return;
+    cf.resource = createAudioResource(stream, { inputType: type, inlineVolume: true });
+    const waitMs = (fadeAtMs - getPlaybackPositionMs(state)) / state.playbackSpeed;
+    cf.timer = setTimeout(() => {
+      commitCrossfade(guild, state, cf).catch((e) => logPretty("ERROR", "crossfade error: " + (e?.message || e)));
+    }, waitMs);
+    logPretty("NOWPLAY", `🔀 CROSSFADE READY: ${cf.incoming.title}`, { tail: `in=${Math.round(waitMs)}ms d=${cf.seconds}s` });
+  } catch (e) {
+    if (state.crossfade !== cf) return;
+    logPretty("ERROR", "crossfade prepare fail: " + (e?.message || e), { tail: `title="${cf.incoming.title}"` });
+    destroyPipe(cf.pipe);
+    cf.pipe = null;
+    cf.failed = true;
+    refreshPrefetch(state);
+  }
+}
+
+/**
+ * Switch the player to the prepared mix. The outgoing track is finished as if
+ * it had played to its end and the mix becomes the incoming track's pipeline.
+ */
+async function commitCrossfade(guild, state, cf){
+  if (state.crossfade !== cf) return;
+  state.crossfade = null;
+  // Paused, looped or reordered since the mix was started
+  if (!canCrossfade(state) || state.current !== cf.outgoing || state.queue[0] !== cf.incoming) {
+    destroyPipe(cf.pipe);
+    refreshPrefetch(state);
     return;
   }
 
-  await playNext(guild, state.current.textChannelId, state);
+  const old = state.currentPipe;
+  if (old?.caching) {
+    // Let the outgoing encode run to its end into the audio cache
+    old.stream.on("error", swallowPipeError);
+    try { old.stream.destroy(); } catch {}
+  } else {
+    destroyPipe(old);
+  }
+  recordFinishedTrack(state, cf.outgoing);
+
+  const next = state.queue.shift();
+  state.current = next;
+  state.restartGuard.tried = false;
+  resetSkipVotes(state);
+  state.currentPipe = cf.pipe;
+  if (next.kind === "http" && next.isLive) {
+    state.currentPipe.stopMetadata = watchIcyMetadata(cf.pipe.input.url, (title) => handleStreamTitle(guild, state, next, title));
+  }
+  state.currentResource = cf.resource;
+  state.seekOffsetMs = next.startMs || 0;
+  delete next.startMs;
+  applyVolume(state);
+  // Replacing the resource of a playing player does not go through Idle
+  state.player.play(cf.resource);
+
+  metrics.tracksPlayed++;
+  commitGuildState(state);
+  const upNext = state.queue.slice(0, 3).map(x => x.title).join(" | ") || "-";
+  logPretty("NOWPLAY", `🎶 NOW PLAYING: ${next.title}`, { tail: `by=${next.requestedBy} via=crossfade(${cf.seconds}s) up_next=${upNext}` });
+  await updateNowPlayingMessage(guild, state);
+}
+
+// Start (or drop) fades as tracks approach their end
+setInterval(() => {
+  for (const state of guildStates.values()) {
+    const cf = state.crossfade;
+    if (cf) {
+      if (!cf.failed && (!canCrossfade(state) || state.queue[0] !== cf.incoming)) cancelCrossfade(state);
+      continue;
+    }
+    if (!canCrossfade(state) || !state.currentPipe?.input) continue;
+    const fadeAtMs = (state.current.duration - state.crossfadeSeconds) * 1000;
+    const leadMs = (fadeAtMs - getPlaybackPositionMs(state)) / state.playbackSpeed;
+    if (leadMs > CROSSFADE_PREPARE_MS || leadMs < CROSSFADE_MIN_LEAD_MS) continue;
+    prepareCrossfade(state.current.guild, state, fadeAtMs);
+  }
+}, CROSSFADE_CHECK_MS).unref();
+
+/* ------------------------------ Player helpers -------------------------------- */
+async function handlePlayerIdle(guild, state) {
+  if (state.restarting) return;
+  const playedMs = (state.currentResource?.playbackDuration || 0);
+  cleanupCurrentPipeline(state);
+  state.currentResource = null;
+  if (!state.current) return;
+
+  const finished = state.current;
+  const manualSkip = state.skipRequested;
+  state.skipRequested = false;
+
+  // A live stream only ends when skipped; anything else is a dropped connection
+  if (finished.isLive && !manualSkip) {
+    scheduleLiveReconnect(guild, state, finished, playedMs);
+    return;
+  }
+
+  const repeating = state.loopMode === "track" && !manualSkip && !finished.isLive;
+  recordFinishedTrack(state, finished, repeating);
+
+  if (repeating) {
+    state.restartGuard.tried = false;
+    await playSame(guild, finished.textChannelId, finished, state);
+    return;
+  }
+
+  state.current = null;
+  await playNext(guild, finished.textChannelId, state);
+}
+
+/**
+ * History, /previous and queue-loop bookkeeping for a track that ended (or
+ * was skipped, or faded out into the next one).
+ */
+function recordFinishedTrack(state, finished, repeating = false) {
+  logPretty("NOWPLAY", `⏭️ FINISHED: ${finished.title}`);
+  state.lastPlayed = finished;
+  // A track-loop repeat is not a new history entry; /previous re-queues the
+  // interrupted track itself, so it is not recorded either
+  if (!repeating && !finished.skipHistory) recordHistory(state, finished);
+  delete finished.skipHistory;
+  if (repeating) return;
+
+  if (state.loopMode === "queue") {
+    // /clear can take the current track out of the rotation
+    if (!finished.excludeFromLoop && !finished.isLive) state.queue.push({ ...finished });
+    state.queue.push(...state.requeueAfterCurrent);
+  }
+  state.requeueAfterCurrent = [];
+}
+
+async function handlePlayerError(error, guild, state) {
+  logPretty("ERROR", `Player error: ${error?.message || error}`);
+  if (!state.current || state.restarting) return;
+  // The Idle event that follows reconnects live streams
+  if (state.current.isLive) return;
+
+  if (!state.restartGuard.tried) {
+    state.restartGuard.tried = true;
+    metrics.playerRestarts++;
+    logPretty("ERROR", "Attempting one-time stream restart due to premature close", { tail: `title="${state.current.title}"` });
+    await sendToTextChannel(guild, state.current.textChannelId, "🔁 สัญญาณหลุด กำลังลองเชื่อมต่อใหม่…");
+    await playSame(guild, state.current.textChannelId, state.current, state);
+    return;
+  }
+
+  await playNext(guild, state.current.textChannelId, state);
+}
+
+async function playNext(guild, textChannelId, state = getGuildState(guild)) {
+  state.restartGuard.tried = false;
+  state.liveRetries = 0;
+  cancelLiveReconnect(state);
+  cleanupCurrentPipeline(state);
+
+  if (!state.queue.length && state.autoplay && state.lastPlayed) {
+    const seed = state.lastPlayed;
+    const related = await findRelatedTrack(seed, recentHistoryIds(state)).catch(() => null);
+    // Someone may have queued and started a track while we were searching
+    if (state.current) return;
+    if (related) {
+      logPretty("NOWPLAY", `📻 AUTOPLAY: ${related.title}`, { tail: `seed="${seed.title}"` });
+      state.queue.push(makeQueueItem(related, {
+        requestedBy: "autoplay",
+        guild,
+        voiceChannelId: seed.voiceChannelId,
+        textChannelId: seed.textChannelId,
+      }));
+    }
+  }
+
+  if (!state.queue.length) {
+    state.current = null;
+    commitGuildState(state);
+    if (!state.stay247) leaveVoice(guild, state);
+    logPretty("NOWPLAY", "⏹️ QUEUE EMPTY");
+    await retireNowPlayingMessage(guild, state, "⏹️ คิวหมดแล้ว", textChannelId);
+    return;
+  }
+
+  const next = state.queue.shift();
+  state.current = next;
+  resetSkipVotes(state);
+  // A resumed item carries the position it was interrupted at
+  const startMs = next.startMs || 0;
+  delete next.startMs;
+
+  try {
+    // Use unified playback helper; this will throw on resolution errors
+    const { pageUrl } = await startPlayback(guild, next, state, startMs);
+    metrics.tracksPlayed++;
+    commitGuildState(state);
+    // Compose information about upcoming tracks
+    const upNext = state.queue.slice(0, 3).map(x => x.title).join(" | ") || "-";
+    logPretty("NOWPLAY", `🎶 NOW PLAYING: ${next.title}`, { tail: `by=${next.requestedBy} via=ffmpeg(url+headers) up_next=${upNext}` });
+    await updateNowPlayingMessage(guild, state);
+  } catch (e) {
+    logPretty("ERROR", "play error: " + (e?.message || e));
+    await sendToTextChannel(guild, next.textChannelId, `⚠️ มีปัญหากับเพลงนี้ ข้าม: **${next?.title ?? "ไม่ทราบชื่อ"}**`);
+    state.current = null;
+    await playNext(guild, textChannelId, state);
+  }
+}
+
+async function playSame(guild, textChannelId, item, state = getGuildState(guild)) {
+  try {
+    state.current = item;
+    cleanupCurrentPipeline(state);
+    // Reuse unified playback helper; any errors will be caught below
+    await startPlayback(guild, item, state);
+    logPretty("NOWPLAY", `🔁 RESTARTED: ${item.title}`, { tail: `via=ffmpeg(url+headers)` });
+  } catch (err) {
+    logPretty("ERROR", "playSame error: " + (err?.message || err));
+    state.current = null;
+    await playNext(guild, textChannelId, state);
+  }
+}
+
+/**
+ * Restart the current track at the given position by respawning ffmpeg with
+ * a seek offset. If the restart fails the queue moves on to the next track.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} state
+ * @param {number} positionMs
+ * @returns {Promise<boolean>} Whether playback resumed at the new position
+ */
+async function restartCurrentAt(guild, state, positionMs) {
+  const item = state.current;
+  if (!item) return false;
+  state.restarting = true;
+  try {
+    state.player.stop(true);
+    cleanupCurrentPipeline(state);
+    await startPlayback(guild, item, state, positionMs);
+    commitGuildState(state);
+    logPretty("NOWPLAY", `⏩ SEEK: ${item.title}`, { tail: `to=${formatDuration(positionMs)}` });
+    return true;
+  } catch (err) {
+    logPretty("ERROR", "seek error: " + (err?.message || err));
+    state.current = null;
+    playNext(guild, item.textChannelId, state);
+    return false;
+  } finally {
+    state.restarting = false;
+  }
+}
+
+/* ------------------------------ Player controls ------------------------------- */
+// Actions shared by the slash commands and the HTTP API so both go through
+// exactly the same code paths.
+
+/**
+ * Build a queue item from track metadata (see trackMetaFromInfo).
+ *
+ * @param {Object} meta
+ * @param {{ source?: string, requestedBy: string, requestedById?: string|null, guild: import('discord.js').Guild, voiceChannelId: string, textChannelId: string }} ctx
+ */
+function makeQueueItem(meta, { source, requestedBy, requestedById = null, guild, voiceChannelId, textChannelId }) {
+  return {
+    // null for anything yt-dlp resolves; "file" / "http" for direct sources
+    kind: meta.kind || null,
+    title: meta.title,
+    source: source || meta.url,
+    pageUrl: meta.url || null,
+    duration: meta.duration || null,
+    uploader: meta.uploader || null,
+    thumbnail: meta.thumbnail || null,
+    isLive: Boolean(meta.isLive),
+    requestedBy,
+    requestedById,
+    guild,
+    voiceChannelId,
+    textChannelId,
+  };
+}
+
+/** Whether `user` queued `item` (older items only carry the tag). */
+function isRequestedBy(item, user) {
+  return item.requestedById ? item.requestedById === user.id : item.requestedBy === user.tag;
+}
+
+/** Milliseconds left in the current track plus every queued track of known length. */
+function remainingQueueMs(state) {
+  let total = 0;
+  let unknown = 0;
+  if (state.current?.duration && !state.current.isLive) {
+    total += Math.max(0, state.current.duration * 1000 - getPlaybackPositionMs(state));
+  }
+  for (const x of state.queue) {
+    if (x.duration && !x.isLive) total += x.duration * 1000;
+    else unknown++;
+  }
+  return { total, unknown };
+}
+
+/* -------------------------------- Fair queue -------------------------------- */
+// In fair mode every requester gets one track per "round": a user's n-th
+// queued track (counting the one playing now) goes in front of anyone's
+// (n+1)-th, so a 50-track playlist no longer blocks everyone else. Order
+// within one user's tracks is kept, and /playnext, /move etc. still work on
+// the resulting queue as usual.
+
+function requesterKey(item) {
+  return item.requestedById || item.requestedBy;
+}
+
+/** Append `items` to the queue, interleaving them by requester in fair mode. */
+function addToQueue(state, items) {
+  for (const item of items) {
+    if (!state.fairQueue) {
+      state.queue.push(item);
+      continue;
+    }
+    const seen = new Map();
+    if (state.current) seen.set(requesterKey(state.current), 1);
+    const rounds = state.queue.map(x => {
+      const n = seen.get(requesterKey(x)) || 0;
+      seen.set(requesterKey(x), n + 1);
+      return n;
+    });
+    const round = seen.get(requesterKey(item)) || 0;
+    const at = rounds.findIndex(r => r > round);
+    if (at === -1) state.queue.push(item);
+    else state.queue.splice(at, 0, item);
+  }
+}
+
+/** Turn fair mode on/off; switching it on re-interleaves the existing queue. */
+function setFairQueue(state, enabled) {
+  state.fairQueue = enabled;
+  if (enabled) {
+    const items = state.queue;
+    state.queue = [];
+    addToQueue(state, items);
+  }
+  commitGuildState(state);
+}
+
+// What a track of unknown length counts as against USER_QUEUE_MAX_MINUTES
+const UNKNOWN_TRACK_CHARGE_MS = 10 * 60 * 1000;
+
+/** Length a track counts as against the per-user queue time limit. */
+function chargedDurationMs(item) {
+  if (item.isLive) return 0;
+  return item.duration ? item.duration * 1000 : UNKNOWN_TRACK_CHARGE_MS;
+}
+
+/**
+ * Apply the guild's max track length and the per-user queue limits
+ * (USER_QUEUE_LIMIT / USER_QUEUE_MAX_MINUTES) to tracks `member` wants to add.
+ * Returns the tracks that fit and, when anything was cut, a message explaining
+ * which limit was hit. DJs are not subject to the per-user limits; without a
+ * member (HTTP API) only the track length applies. Tracks of unknown length
+ * count as UNKNOWN_TRACK_CHARGE_MS towards the per-user time limit.
+ *
+ * @param {Object} state
+ * @param {import('discord.js').GuildMember|null} member
+ * @param {Object[]} metas Track metadata (see trackMetaFromInfo)
+ * @returns {{ accepted: Object[], limitMessage: string|null }}
+ */
+function applyQueueLimits(state, member, metas) {
+  let limitMessage = null;
+  const maxTrackMs = getGuildSetting(state.guildId, "maxTrackMinutes") * 60 * 1000;
+  if (maxTrackMs) {
+    const fitting = metas.filter(m => m.isLive || !m.duration || m.duration * 1000 <= maxTrackMs);
+    if (fitting.length < metas.length) limitMessage = `⚠️ เพลงยาวเกิน ${formatDuration(maxTrackMs)} เพิ่มเข้าคิวไม่ได้`;
+    metas = fitting;
+  }
+
+  const maxCount = config.userQueueLimit;
+  const maxMs = config.userQueueMaxMinutes * 60 * 1000;
+  if ((!maxCount && !maxMs) || !member || isDj(member, state)) return { accepted: metas, limitMessage };
+
+  const mine = state.queue.filter(x => isRequestedBy(x, member.user));
+  let count = mine.length;
+  let totalMs = mine.reduce((sum, x) => sum + chargedDurationMs(x), 0);
+  const accepted = [];
+  for (const meta of metas) {
+    const ms = chargedDurationMs(meta);
+    if (maxCount && count + 1 > maxCount) {
+      limitMessage = `⚠️ คิวของคุณเต็มแล้ว (สูงสุด ${maxCount} เพลงต่อคน)`;
+      break;
+    }
+    if (maxMs && totalMs + ms > maxMs) {
+      limitMessage = `⚠️ ความยาวรวมของเพลงในคิวของคุณเกิน ${formatDuration(maxMs)} ต่อคน`;
+      break;
+    }
+    accepted.push(meta);
+    count++;
+    totalMs += ms;
+  }
+  return { accepted, limitMessage };
+}
+
+/**
+ * Embed describing a track: linked title, thumbnail, channel, length and
+ * requester. For the current track a progress bar is included.
+ *
+ * @param {Object} state
+ * @param {Object} item
+ * @param {{ title: string }} opts
+ * @returns {EmbedBuilder}
+ */
+function buildTrackEmbed(state, item, { title }) {
+  const isCurrent = item === state.current;
+  const totalMs = (item.duration || 0) * 1000;
+  let timeLine;
+  if (item.isLive) {
+    timeLine = "🔴 LIVE";
+  } else if (isCurrent) {
+    const pos = getPlaybackPositionMs(state);
+    timeLine = totalMs
+      ? `${progressBar(pos, totalMs)}\n\`${formatDuration(pos)} / ${formatDuration(totalMs)}\``
+      : `\`${formatDuration(pos)}\``;
+  } else {
+    timeLine = totalMs ? `\`${formatDuration(totalMs)}\`` : "";
+  }
+  const embed = new EmbedBuilder()
+    .setAuthor({ name: title })
+    .setTitle(item.title.slice(0, 256))
+    .setDescription([
+      item.streamTitle ? `🎵 ${item.streamTitle}` : null,
+      item.uploader ? `📺 ${item.uploader}` : null,
+      timeLine,
+    ].filter(Boolean).join("\n") || null)
+    .addFields(
+      { name: "ขอโดย", value: item.requestedBy, inline: true },
+      { name: "คิวที่เหลือ", value: String(state.queue.length), inline: true },
+      { name: "Volume", value: `${state.volumePct}%`, inline: true },
+      { name: "Loop", value: loopModeLabel(state.loopMode), inline: true },
+    );
+  if (item.pageUrl && isUrl(item.pageUrl)) embed.setURL(item.pageUrl);
+  if (item.thumbnail) embed.setThumbnail(item.thumbnail);
+  return embed;
+}
+
+/**
+ * Look up metadata for `query`, append it to the queue and start playback if
+ * nothing is playing.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} state
+ * @param {{ query: string, requestedBy: string, requestedById?: string, voiceChannelId: string, textChannelId: string, front?: boolean, member?: import('discord.js').GuildMember }} opts
+ *   `front` inserts the track at the head of the queue (/playnext);
+ *   `member` subjects the track to the per-user queue limits (see applyQueueLimits)
+ * @returns {Promise<{ item?: Object, position?: number, limitMessage?: string }>}
+ *   The queued item and its 1-based queue position (taken before playback
+ *   may start it), or the reason it was refused
+ */
+async function enqueueQuery(guild, state, { query, requestedBy, requestedById, voiceChannelId, textChannelId, front = false, member = null }) {
+  const meta = await getQueryMeta(query);
+  const { accepted, limitMessage } = applyQueueLimits(state, member, [meta]);
+  if (!accepted.length) return { limitMessage };
+  // Direct sources play their resolved URL (a .pls query points at the stream)
+  const source = meta.kind ? meta.url : query;
+  const item = makeQueueItem(meta, { source, requestedBy, requestedById, guild, voiceChannelId, textChannelId });
+  if (front) state.queue.unshift(item);
+  else addToQueue(state, [item]);
+  const position = state.queue.indexOf(item) + 1;
+  commitGuildState(state);
+  if (!state.current) playNext(guild, textChannelId, state);
+  return { item, position };
+}
+
+/**
+ * Queue tracks whose metadata is already known (library, uploads) within the
+ * queue limits and start playback if nothing is playing.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} state
+ * @param {Object[]} metas Track metadata (see trackMetaFromInfo)
+ * @param {{ requestedBy: string, requestedById?: string, voiceChannelId: string, textChannelId: string, member?: import('discord.js').GuildMember }} ctx
+ * @returns {{ items: Object[], limitMessage: string|null }}
+ */
+function enqueueTracks(guild, state, metas, { requestedBy, requestedById, voiceChannelId, textChannelId, member = null }) {
+  const { accepted, limitMessage } = applyQueueLimits(state, member, metas);
+  const items = accepted.map(meta => makeQueueItem(meta, { requestedBy, requestedById, guild, voiceChannelId, textChannelId }));
+  if (!items.length) return { items, limitMessage };
+  addToQueue(state, items);
+  commitGuildState(state);
+  if (!state.current) playNext(guild, textChannelId, state);
+  return { items, limitMessage };
+}
+
+function skipCurrent(state) {
+  state.skipRequested = true;
+  // A live stream waiting to reconnect has nothing playing to stop
+  if (cancelLiveReconnect(state) && state.current) {
+    handlePlayerIdle(state.current.guild, state).catch((e) => logPretty("ERROR", `Idle handler error: ${e?.message || e}`));
+    return;
+  }
+  state.player.stop(true);
+  cleanupCurrentPipeline(state);
+}
+
+function stopPlayback(guild, state) {
+  retireNowPlayingMessage(guild, state, "🛑 หยุดและล้างคิวแล้ว").catch(() => {});
+  state.queue = [];
+  state.requeueAfterCurrent = [];
+  state.current = null;
+  state.lastPlayed = null;
+  state.loopMode = getGuildSetting(state.guildId, "defaultLoop");
+  state.skipRequested = false;
+  cancelLiveReconnect(state);
+  state.player.stop(true);
+  cleanupCurrentPipeline(state);
+  commitGuildState(state);
+  leaveVoice(guild, state);
+}
+
+/** Remove the 1-based queue entry `index`; returns the removed item or null. */
+function removeQueueItem(state, index) {
+  if (!Number.isInteger(index) || index < 1 || index > state.queue.length) return null;
+  const [removed] = state.queue.splice(index - 1, 1);
+  commitGuildState(state);
+  return removed;
+}
+
+/** Move the 1-based queue entry `from` to position `to`; returns the moved item or null. */
+function moveQueueItem(state, from, to) {
+  const n = state.queue.length;
+  if (![from, to].every(i => Number.isInteger(i) && i >= 1 && i <= n)) return null;
+  const [item] = state.queue.splice(from - 1, 1);
+  state.queue.splice(to - 1, 0, item);
+  commitGuildState(state);
+  return item;
+}
+
+/**
+ * Jump to the 1-based queue entry `index`: everything before it is dropped
+ * and the current track is skipped. In queue-loop mode the jumped-over tracks
+ * are not lost; they rejoin the rotation right after the current track.
+ *
+ * @returns {Object[]|null} The jumped-over items, or null for a bad index
+ */
+function skipToIndex(state, index) {
+  if (!Number.isInteger(index) || index < 1 || index > state.queue.length) return null;
+  const dropped = state.queue.splice(0, index - 1);
+  if (state.loopMode === "queue") {
+    if (state.current) state.requeueAfterCurrent.push(...dropped);
+    else state.queue.push(...dropped);
+  }
+  commitGuildState(state);
+  if (state.current) skipCurrent(state);
+  return dropped;
+}
+
+/**
+ * Remove queued tracks, optionally only those matching `filter`. In
+ * queue-loop mode a matching current track is also taken out of the rotation
+ * so it does not come back when it finishes.
+ *
+ * @returns {number} How many tracks were removed from the queue
+ */
+function clearQueue(state, filter = () => true) {
+  const before = state.queue.length;
+  state.queue = state.queue.filter(x => !filter(x));
+  state.requeueAfterCurrent = state.requeueAfterCurrent.filter(x => !filter(x));
+  if (state.current && filter(state.current)) state.current.excludeFromLoop = true;
+  commitGuildState(state);
+  return before - state.queue.length;
+}
+
+/** Key identifying the same track across queue items. */
+function trackKey(item) {
+  const src = item.pageUrl || item.source || "";
+  return extractVideoId(src) || src.trim().toLowerCase();
+}
+
+/**
+ * Remove queued tracks whose source already appears earlier in the queue. In
+ * queue-loop mode the current track counts too, since it will be re-appended.
+ *
+ * @returns {number} How many duplicates were removed
+ */
+function dedupeQueue(state) {
+  const seen = new Set();
+  if (state.loopMode === "queue" && state.current && !state.current.excludeFromLoop) seen.add(trackKey(state.current));
+  const keep = (x) => {
+    const key = trackKey(x);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  };
+  const before = state.queue.length + state.requeueAfterCurrent.length;
+  state.queue = state.queue.filter(keep);
+  state.requeueAfterCurrent = state.requeueAfterCurrent.filter(keep);
+  commitGuildState(state);
+  return before - state.queue.length - state.requeueAfterCurrent.length;
+}
+
+/**
+ * Go back to the most recent history entry. The interrupted current track is
+ * queued right after it so nothing is lost.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} state
+ * @param {{ voiceChannelId: string, textChannelId: string }} ctx Where to play
+ * @returns {Object|null} The queued previous item, or null when there is no history
+ */
+function playPrevious(guild, state, { voiceChannelId, textChannelId }) {
+  const entry = state.history.pop();
+  if (!entry) return null;
+  try {
+    writeJsonFile(historyFile(state.guildId), state.history);
+  } catch {}
+  const prev = makeQueueItem({ ...entry, url: entry.pageUrl }, {
+    source: entry.source,
+    requestedBy: entry.requestedBy,
+    requestedById: entry.requestedById,
+    guild,
+    voiceChannelId,
+    textChannelId,
+  });
+  if (state.current) {
+    const { excludeFromLoop, ...interrupted } = state.current;
+    // The copy takes its place in the queue (and in a queue loop)
+    state.current.excludeFromLoop = true;
+    state.current.skipHistory = true;
+    state.queue.unshift(prev, interrupted);
+    commitGuildState(state);
+    skipCurrent(state);
+  } else {
+    state.queue.unshift(prev);
+    commitGuildState(state);
+    playNext(guild, textChannelId, state);
+  }
+  return prev;
+}
+
+/** Fisher–Yates shuffle of the queue; returns false when there is nothing to shuffle. */
+function shuffleQueue(state) {
+  if (state.queue.length < 2) return false;
+  for (let i = state.queue.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [state.queue[i], state.queue[j]] = [state.queue[j], state.queue[i]];
+  }
+  commitGuildState(state);
+  return true;
+}
+
+function setLoopMode(state, mode) {
+  state.loopMode = mode;
+  commitGuildState(state);
+}
+
+function loopModeLabel(mode) {
+  return mode === "off" ? "ปิด" : mode === "track" ? "วนเพลงปัจจุบัน" : "วนทั้งคิว";
+}
+
+/* -------------------------------- DJ permissions ------------------------------ */
+// Once a guild sets a DJ role, destructive actions (stop, volume, loop,
+// shuffle, filters, clearing, moving, skipping over or deduplicating the
+// queue, removing other people's tracks, botupdate) are limited to DJs,
+// members with Manage Server, the requester of the affected track, or anyone
+// who is alone with the bot.
+const DJ_DENIED_MESSAGE = "❌ คำสั่งนี้ใช้ได้เฉพาะ DJ ผู้ดูแล หรือผู้ขอเพลงนั้น";
+// /skipto and /previous also end the current track, so vote-skip applies to them
+const VOTE_SKIP_DENIED_MESSAGE = "🗳️ เปิดโหวตข้ามเพลงอยู่ ใช้ /skip เพื่อโหวตแทน";
+
+/**
+ * @param {import('discord.js').GuildMember|null} member
+ * @param {Object} state
+ * @param {Object} [track] The queue item the action affects, if any
+ * @returns {boolean}
+ */
+function canControl(member, state, track) {
+  if (!member) return false;
+  if (!getGuildSetting(state.guildId, "djRoleId")) return true;
+  if (isDj(member, state)) return true;
+  if (track && isRequestedBy(track, member.user)) return true;
+  return isAloneWithBot(member);
+}
+
+/** Members with Manage Server or the guild's DJ role. */
+function isDj(member, state) {
+  if (member.permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  const djRoleId = getGuildSetting(state.guildId, "djRoleId");
+  return Boolean(djRoleId && member.roles?.cache?.has(djRoleId));
+}
+
+function isAloneWithBot(member) {
+  const botChannelId = member.guild.members.me?.voice?.channelId;
+  return Boolean(botChannelId && member.voice?.channelId === botChannelId && countListeners(member.guild) === 1);
+}
+
+/* ---------------------------------- Vote-skip --------------------------------- */
+// With vote-skip on, /skip (and the skip button/dashboard) from a regular
+// listener only counts as a vote; the track is skipped once enough of the
+// non-bot members in the bot's channel have voted. The requester of the track,
+// DJs and someone alone with the bot still skip instantly. Votes reset on
+// every track change.
+
+function resetSkipVotes(state) {
+  // A fresh set rather than clear(): its identity marks the round of voting
+  state.skipVotes = new Set();
+  state.skipVoteMessage = null;
+}
+
+/** Valid votes (voters still listening) and how many are needed. */
+function skipVoteCount(guild, state) {
+  const channel = guild.members.me?.voice?.channel;
+  const listeners = channel ? channel.members.filter(m => !m.user.bot) : null;
+  const votes = [...state.skipVotes].filter(id => listeners?.has(id)).length;
+  const needed = Math.max(1, Math.ceil((listeners?.size || 0) * state.voteSkip.percent / 100));
+  return { votes, needed };
+}
+
+/** Whether `member` may end the current track without a vote. */
+function canSkipInstantly(member, state) {
+  return !state.voteSkip.enabled || !state.current || !member
+    || isDj(member, state) || isRequestedBy(state.current, member.user) || isAloneWithBot(member);
+}
+
+/**
+ * Skip for `member`, or register their vote when vote-skip applies to them.
+ *
+ * @returns {{ result: "skipped"|"voted"|"already", votes?: number, needed?: number }}
+ */
+function requestSkip(guild, state, member) {
+  if (canSkipInstantly(member, state)) {
+    skipCurrent(state);
+    return { result: "skipped" };
+  }
+  if (state.skipVotes.has(member.id)) return { result: "already", ...skipVoteCount(guild, state) };
+  state.skipVotes.add(member.id);
+  const { votes, needed } = skipVoteCount(guild, state);
+  const title = state.current.title;
+  if (votes >= needed) {
+    logPretty("NOWPLAY", `🗳️ VOTE SKIP PASSED: ${title}`, { tail: `votes=${votes}/${needed}` });
+    updateSkipVoteMessage(guild, state, `⏭️ โหวตผ่าน (${votes}/${needed}) ข้าม **${title}**`).catch(() => {});
+    skipCurrent(state);
+    return { result: "skipped", votes, needed };
+  }
+  updateSkipVoteMessage(guild, state, `🗳️ โหวตข้าม **${title}**: **${votes}/${needed}**`).catch(() => {});
+  return { result: "voted", votes, needed };
+}
+
+/** Post or edit the single live vote count message for the current track. */
+async function updateSkipVoteMessage(guild, state, content) {
+  const round = state.skipVotes;
+  const ref = state.skipVoteMessage;
+  if (ref) {
+    try {
+      const msg = await guild.channels.cache.get(ref.channelId)?.messages?.fetch(ref.messageId);
+      if (msg) {
+        await msg.edit(content);
+        return;
+      }
+    } catch {}
+  }
+  const msg = await sendToTextChannel(guild, state.current?.textChannelId || state.lastPlayed?.textChannelId, content);
+  // Only keep the reference if the votes still belong to the same track
+  if (msg && state.skipVotes === round && state.skipVoteMessage === ref) state.skipVoteMessage = { channelId: msg.channelId, messageId: msg.id };
+}
+
+/** User-facing reply for a requestSkip() result. */
+function skipResultText(r) {
+  if (r.result === "skipped") return r.votes ? `⏭️ โหวตครบ (${r.votes}/${r.needed}) ข้ามเพลงแล้ว` : "⏭️ ข้ามเพลงปัจจุบัน";
+  if (r.result === "already") return `ℹ️ คุณโหวตไปแล้ว (${r.votes}/${r.needed})`;
+  return `🗳️ โหวตข้ามแล้ว (${r.votes}/${r.needed})`;
+}
+
+/* ---------------------------- Now playing message ----------------------------- */
+// Each guild keeps one "now playing" message with control buttons. It is
+// edited in place on every track change instead of posting a new message;
+// a new one is only sent when the track's text channel differs. Pause,
+// loop and volume changes from anywhere (slash commands, dashboard, API,
+// auto-pause) are picked up from playerEvents and update its buttons.
+const NP_VOLUME_STEP = 10;
+// Batches the edits for bursts of changes
+const NP_REFRESH_DELAY_MS = 1000;
+const LOOP_CYCLE = { off: "track", track: "queue", queue: "off" };
+
+function buildNowPlayingComponents(state) {
+  const paused = state.player.state.status === AudioPlayerStatus.Paused;
+  const controls = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("np:toggle").setEmoji(paused ? "▶️" : "⏸️").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId("np:skip").setEmoji("⏭️").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId("np:stop").setEmoji("⏹️").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId("np:loop").setEmoji("🔁").setLabel(loopModeLabel(state.loopMode))
+      .setStyle(state.loopMode === "off" ? ButtonStyle.Secondary : ButtonStyle.Success),
+    new ButtonBuilder().setCustomId("np:shuffle").setEmoji("🔀").setStyle(ButtonStyle.Secondary),
+  );
+  const volume = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("np:voldown").setEmoji("🔉").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId("np:volume").setLabel(`${state.volumePct}%`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+    new ButtonBuilder().setCustomId("np:volup").setEmoji("🔊").setStyle(ButtonStyle.Secondary),
+  );
+  return [controls, volume];
+}
+
+/** What the message's buttons reflect; it is only re-edited when this changes. */
+function nowPlayingControlsKey(state) {
+  return [state.player.state.status === AudioPlayerStatus.Paused, state.loopMode, state.volumePct].join("|");
+}
+
+function nowPlayingPayload(state) {
+  const embed = buildTrackEmbed(state, state.current, { title: "🎶 กำลังเล่น" })
+    .setFooter({ text: `ping ${wsPing()} ms` });
+  return { content: null, embeds: [embed], components: buildNowPlayingComponents(state) };
+}
+
+async function fetchNowPlayingMessage(guild, state) {
+  const ref = state.nowPlayingMessage;
+  if (!ref) return null;
+  try {
+    const ch = guild.channels.cache.get(ref.channelId);
+    return await ch?.messages?.fetch(ref.messageId) || null;
+  } catch {
+    return null;
+  }
+}
+
+/** Show the current track on the guild's now-playing message, editing it in place when possible. */
+async function updateNowPlayingMessage(guild, state) {
+  const item = state.current;
+  if (!item) return;
+  const payload = nowPlayingPayload(state);
+  if (state.nowPlayingMessage?.channelId === announceChannelFor(guild, item.textChannelId)) {
+    const msg = await fetchNowPlayingMessage(guild, state);
+    if (msg) {
+      try {
+        await msg.edit(payload);
+        state.nowPlayingMessage.controlsKey = nowPlayingControlsKey(state);
+        return;
+      } catch {}
+    }
+  }
+  await retireNowPlayingMessage(guild, state);
+  const msg = await sendToTextChannel(guild, item.textChannelId, payload);
+  if (msg) state.nowPlayingMessage = { channelId: msg.channelId, messageId: msg.id, controlsKey: nowPlayingControlsKey(state) };
+}
+
+/** Re-edit the now-playing message if its buttons no longer match the player. */
+async function refreshNowPlayingControls(guild, state) {
+  const ref = state.nowPlayingMessage;
+  if (!ref || !state.current || ref.controlsKey === nowPlayingControlsKey(state)) return;
+  const msg = await fetchNowPlayingMessage(guild, state);
+  // Replaced or retired while fetching
+  if (!msg || state.nowPlayingMessage !== ref) return;
+  ref.controlsKey = nowPlayingControlsKey(state);
+  await msg.edit(nowPlayingPayload(state));
+}
+
+playerEvents.on("change", (guildId) => {
+  const state = guildStates.get(guildId);
+  if (!state?.nowPlayingMessage || state.npRefreshTimer) return;
+  state.npRefreshTimer = setTimeout(() => {
+    state.npRefreshTimer = null;
+    const guild = client.guilds.cache.get(guildId);
+    if (guild) refreshNowPlayingControls(guild, state).catch(() => {});
+  }, NP_REFRESH_DELAY_MS);
+});
+
+/**
+ * Strip the buttons from the now-playing message and forget it. When `notice`
+ * is given it replaces the message content (or is sent to `fallbackChannelId`
+ * if there is no message to edit).
+ */
+async function retireNowPlayingMessage(guild, state, notice, fallbackChannelId) {
+  const msg = await fetchNowPlayingMessage(guild, state);
+  state.nowPlayingMessage = null;
+  if (msg) {
+    try {
+      await msg.edit(notice ? { content: notice, embeds: [], components: [] } : { components: [] });
+      return;
+    } catch {}
+  }
+  if (notice && fallbackChannelId) await sendToTextChannel(guild, fallbackChannelId, notice);
+}
+
+/** Whether the interaction's member is in the bot's voice channel (or the bot is not in one). */
+function isInBotVoiceChannel(itx) {
+  const userVC = itx.member?.voice?.channelId;
+  const botVC = itx.guild.members.me?.voice?.channelId;
+  return Boolean(userVC && (!botVC || botVC === userVC));
+}
+
+async function handleNowPlayingButton(itx) {
+  const action = itx.customId.slice("np:".length);
+  logPretty("COMMAND", `[button] ${action} by ${itx.user.tag}`);
+  if (!isInBotVoiceChannel(itx)) {
+    return itx.reply({ content: "❌ กรุณาเข้าห้องเสียงเดียวกับบอทก่อน", ephemeral: true });
+  }
+  const state = getGuildState(itx.guild);
+  if (!state.current) return itx.reply({ content: "ℹ️ ยังไม่มีเพลงกำลังเล่น", ephemeral: true });
+
+  if (action === "skip") {
+    const r = requestSkip(itx.guild, state, itx.member);
+    // playNext edits the message for the next track
+    if (r.result === "skipped") return itx.deferUpdate();
+    return itx.reply({ content: skipResultText(r), ephemeral: true });
+  }
+  if (["stop", "loop", "shuffle", "voldown", "volup"].includes(action) && !canControl(itx.member, state)) {
+    return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+  }
+  if (action === "stop") {
+    stopPlayback(itx.guild, state);
+    return itx.deferUpdate();
+  }
+  if (action === "toggle") {
+    if (state.player.state.status === AudioPlayerStatus.Paused) state.player.unpause();
+    else state.player.pause();
+  } else if (action === "loop") {
+    setLoopMode(state, LOOP_CYCLE[state.loopMode] || "off");
+  } else if (action === "shuffle") {
+    if (!shuffleQueue(state)) return itx.reply({ content: "ℹ️ คิวมีน้อยกว่าสองเพลง ไม่ต้องสลับ", ephemeral: true });
+  } else if (action === "voldown" || action === "volup") {
+    setVolumePct(state, state.volumePct + (action === "volup" ? NP_VOLUME_STEP : -NP_VOLUME_STEP));
+  } else {
+    return itx.deferUpdate();
+  }
+  // The button's own message is updated here; no separate refresh needed
+  if (state.nowPlayingMessage?.messageId === itx.message.id) state.nowPlayingMessage.controlsKey = nowPlayingControlsKey(state);
+  return itx.update(nowPlayingPayload(state));
+}
+
+function applyVolume(state) {
+  try {
+    const pct = Number.isFinite(state.volumePct) ? state.volumePct : 100;
+    state.currentResource?.volume?.setVolumeLogarithmic(Math.max(pct, 0) / 100);
+  } catch {}
+}
+
+/**
+ * Where a track's audio is read from: a cached encode, a library file or a
+ * network URL (with yt-dlp's HTTP headers, as an ffmpeg header string).
+ * @typedef {{ url: string, headersStr: string|null, isFile: boolean, cached: boolean }} TrackInput
+ */
+
+/**
+ * Find the audio for `item`: the audio cache first, then the background
+ * prefetch when it belongs to this item and is still fresh, otherwise resolve
+ * now (page URL via search, then media URL). Fills in the item's page URL and
+ * duration. With `keepPrefetch` the prefetch is used but left in place.
+ *
+ * @returns {Promise<TrackInput>}
+ */
+async function openTrackInput(state, item, { keepPrefetch = false } = {}) {
+  const cachedFile = findCachedAudio(item);
+  if (cachedFile) {
+    metrics.audioCache.hit++;
+    takePrefetched(state, item);
+    touchCachedAudio(cachedFile);
+    return { url: cachedFile, headersStr: null, isFile: true, cached: true };
+  }
+  if (config.audioCacheEnabled) metrics.audioCache.miss++;
+  let resolved = null;
+  const prefetched = keepPrefetch ? (state.prefetch?.item === item ? state.prefetch : null) : takePrefetched(state, item);
+  if (prefetched) {
+    const r = await prefetched.promise;
+    if (r && r.expiresAt > Date.now()) resolved = r;
+  }
+  if (!resolved) resolved = await resolvePlayableSource(item);
+  const { pageUrl, url, headers, duration } = resolved;
+  item.pageUrl = pageUrl;
+  if (duration && !item.duration) item.duration = duration;
+  return {
+    url,
+    headersStr: headers ? buildFfmpegHeadersString(headers) : null,
+    isFile: item.kind === "file",
+    cached: false,
+  };
+}
+
+/**
+ * Prepare and start playback for a given queue item. This helper centralises
+ * the logic of resolving a direct audio URL, spawning ffmpeg, probing the
+ * stream type and starting the Discord audio player. It will also ensure
+ * the voice connection is joined. If any step fails, it will throw an
+ * exception which should be handled by the caller.
+ *
+ * @param {import('discord.js').Guild} guild
+ * @param {Object} item
+ * @param {Object} state
+ * @param {number} [startMs=0] Position (ms) to start the track at
+ * @returns {Promise<{ pageUrl: string }>} The resolved page URL
+ */
+async function startPlayback(guild, item, state, startMs = 0) {
+  // Ensure the bot is connected to the correct voice channel and subscribed to the player
+  ensureVC(guild, item.voiceChannelId, state);
+  // Live streams cannot be seeked; they always join at the live edge
+  if (item.isLive) startMs = 0;
+
+  const input = await openTrackInput(state, item);
+  // AUDIO_FILTER is already baked into cached encodes
+  const { chain, speed } = buildAudioFilterChain(state, { includeBase: !input.cached });
+  if (input.cached && startMs === 0 && !chain) {
+    // Stream the cached file as-is
+    state.currentPipe = { ff: null, stream: fs.createReadStream(input.url), input };
+  } else {
+    // Spawn ffmpeg to transcode the audio stream to Opus/OGG
+    const ff = input.isFile
+      ? spawnFfmpegFromFile(input.url, { startMs, audioFilter: chain })
+      : spawnFfmpegFromDirectUrl(input.url, input.headersStr, { startMs, audioFilter: chain });
+    // Only a full network encode without per-guild filters is worth keeping
+    const guildChain = buildAudioFilterChain(state, { includeBase: false }).chain;
+    const cacheFile = !input.cached && startMs === 0 && !guildChain ? audioCacheFile(item) : null;
+    // Maintain a reference for clean up on idle/skip
+    state.currentPipe = { ff, stream: cacheFile ? cacheWhilePlaying(ff, cacheFile) : ff.stdout, input, caching: Boolean(cacheFile) };
+    if (item.kind === "http" && item.isLive) {
+      state.currentPipe.stopMetadata = watchIcyMetadata(input.url, (title) => handleStreamTitle(guild, state, item, title));
+    }
+  }
+  // Probe the stream to determine the correct demuxing configuration
+  const { stream, type } = await demuxProbe(state.currentPipe.stream);
+  // Create an audio resource for Discord with inline volume control
+  const resource = createAudioResource(stream, { inputType: type, inlineVolume: true });
+  state.currentResource = resource;
+  state.seekOffsetMs = startMs;
+  state.playbackSpeed = speed;
+  // Apply the current volume setting
+  applyVolume(state);
+  // Start playback on the audio player
+  state.player.play(resource);
+
+  return { pageUrl: item.pageUrl };
+}
+
+function setVolumePct(state, pct){
+  const max = getGuildSetting(state.guildId, "maxVolume");
+  if (pct < 0) pct = 0;
+  if (pct > max) pct = max;
+  state.volumePct = pct;
+  applyVolume(state);
+  commitGuildState(state);
+}
+
+/* ----------------------------- HTTP control API ------------------------------ */
+// JSON endpoints on the keep-alive server, authenticated with
+// `Authorization: Bearer <API_TOKEN>`:
+//
+//   GET  /api/guilds                 guilds with an active player
+//   GET  /api/guilds/:id             now playing + queue
+//   POST /api/guilds/:id/queue       { query, requestedBy?, voiceChannelId?, textChannelId? }
+//   POST /api/guilds/:id/skip | pause | resume
+//   POST /api/guilds/:id/volume      { value: 0-1000 }
+//   POST /api/guilds/:id/loop        { mode: off|track|queue }
+const API_MAX_BODY_BYTES = 64 * 1024;
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json; charset=utf-8" });
+  res.end(JSON.stringify(body));
+}
+
+function isAuthorizedApiRequest(req) {
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (!m || !config.apiToken) return false;
+  const given = Buffer.from(m[1].trim());
+  const expected = Buffer.from(config.apiToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > API_MAX_BODY_BYTES) {
+        reject(new Error("body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      if (!chunks.length) return resolve({});
+      let body;
+      try { body = JSON.parse(Buffer.concat(chunks).toString("utf8")); } catch { return reject(new Error("invalid JSON body")); }
+      // Handlers read fields straight off the body
+      if (!body || typeof body !== "object" || Array.isArray(body)) return reject(new Error("JSON body must be an object"));
+      resolve(body);
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Queue item as shown over the API and dashboard. Local files go by their
+ * path inside LIBRARY_DIR (uploads by their file name) so the host's
+ * directory layout is not exposed.
+ */
+function publicQueueItem(item){
+  const out = serializeQueueItem(item);
+  if (out?.kind === "file") {
+    const name = (p) => LIBRARY_DIR && p.startsWith(LIBRARY_DIR + path.sep) ? path.relative(LIBRARY_DIR, p) : path.basename(p);
+    out.source = name(out.source);
+    if (out.pageUrl) out.pageUrl = name(out.pageUrl);
+  }
+  return out;
+}
+
+/** Public view of a guild's player for API responses. */
+function describeGuildPlayer(guild, state) {
+  return {
+    id: guild.id,
+    name: guild.name,
+    voiceChannelId: getVoiceConnection(guild.id)?.joinConfig?.channelId || null,
+    status: state.player.state.status,
+    current: publicQueueItem(state.current),
+    positionMs: getPlaybackPositionMs(state),
+    queue: state.queue.map(publicQueueItem),
+    volume: state.volumePct,
+    maxVolume: getGuildSetting(state.guildId, "maxVolume"),
+    loop: state.loopMode,
+  };
+}
+
+async function handleApiRequest(req, res) {
+  if (!config.apiToken) return sendJson(res, 404, { error: "API disabled (API_TOKEN not set)" });
+  if (!isAuthorizedApiRequest(req)) return sendJson(res, 401, { error: "unauthorized" });
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  const parts = pathname.split("/").filter(Boolean); // ["api", "guilds", id?, action?]
+  if (parts[1] !== "guilds" || parts.length > 4) return sendJson(res, 404, { error: "not found" });
+
+  if (parts.length === 2) {
+    if (req.method !== "GET") return sendJson(res, 405, { error: "method not allowed" });
+    const active = [];
+    for (const [guildId, state] of guildStates) {
+      const guild = client.guilds.cache.get(guildId);
+      if (!guild || (!state.current && !state.queue.length && !getVoiceConnection(guildId))) continue;
+      const { queue, ...summary } = describeGuildPlayer(guild, state);
+      active.push({ ...summary, queueLength: queue.length });
+    }
+    return sendJson(res, 200, { guilds: active });
+  }
+
+  const guild = client.guilds.cache.get(parts[2]);
+  if (!guild) return sendJson(res, 404, { error: "unknown guild" });
+  const state = getGuildState(guild);
+  const action = parts[3];
+
+  if (!action) {
+    if (req.method !== "GET") return sendJson(res, 405, { error: "method not allowed" });
+    return sendJson(res, 200, describeGuildPlayer(guild, state));
+  }
+  if (req.method !== "POST") return sendJson(res, 405, { error: "method not allowed" });
+
+  let body;
+  try {
+    body = await readJsonBody(req);
+  } catch (e) {
+    return sendJson(res, 400, { error: e.message });
+  }
+  logPretty("COMMAND", `API ${action}`, { tail: `guild=${guild.id}` });
+
+  if (action === "queue") {
+    const query = typeof body.query === "string" ? body.query.trim() : "";
+    if (!query) return sendJson(res, 400, { error: "query is required" });
+    const voiceChannelId = body.voiceChannelId
+      || getVoiceConnection(guild.id)?.joinConfig?.channelId
+      || state.current?.voiceChannelId;
+    if (!voiceChannelId || !guild.channels.cache.get(voiceChannelId)?.isVoiceBased?.()) {
+      return sendJson(res, 409, { error: "voiceChannelId is required when the bot is not in a voice channel" });
+    }
+    const textChannelId = body.textChannelId || state.current?.textChannelId || state.lastPlayed?.textChannelId || null;
+    const { item, position, limitMessage } = await enqueueQuery(guild, state, {
+      query,
+      requestedBy: typeof body.requestedBy === "string" && body.requestedBy ? body.requestedBy : "API",
+      voiceChannelId,
+      textChannelId,
+    });
+    if (!item) return sendJson(res, 422, { error: limitMessage });
+    return sendJson(res, 201, { queued: publicQueueItem(item), position });
+  }
+  if (action === "skip") {
+    if (!state.current) return sendJson(res, 409, { error: "nothing playing" });
+    skipCurrent(state);
+    return sendJson(res, 200, { ok: true });
+  }
+  if (action === "pause" || action === "resume") {
+    const ok = action === "pause" ? state.player.pause() : state.player.unpause();
+    return sendJson(res, ok ? 200 : 409, { ok, status: state.player.state.status });
+  }
+  if (action === "volume") {
+    const value = Number(body.value);
+    if (!Number.isInteger(value) || value < 0 || value > 1000) return sendJson(res, 400, { error: "value must be an integer 0-1000" });
+    setVolumePct(state, value);
+    return sendJson(res, 200, { volume: state.volumePct });
+  }
+  if (action === "loop") {
+    if (!["off", "track", "queue"].includes(body.mode)) return sendJson(res, 400, { error: "mode must be off, track or queue" });
+    setLoopMode(state, body.mode);
+    return sendJson(res, 200, { loop: state.loopMode });
+  }
+  return sendJson(res, 404, { error: "not found" });
+}
+
+/* ---------------------------- Health and metrics ------------------------------ */
+// yt-dlp is considered stale (reported, but not unhealthy) after this long
+const YTDLP_STALE_MS = 2 * 24 * 3600 * 1000;
+
+function handleHealthRequest(_req, res) {
+  const lastUpdate = readLastUpdateTs();
+  const ageMs = lastUpdate ? Date.now() - lastUpdate : null;
+  const ready = client.isReady();
+  const body = {
+    status: ready && FFMPEG_AVAILABLE ? "ok" : "unhealthy",
+    discord: { ready, pingMs: wsPing() },
+    ffmpeg: { available: FFMPEG_AVAILABLE },
+    ytdlp: {
+      lastUpdate: lastUpdate ? new Date(lastUpdate).toISOString() : null,
+      ageSeconds: ageMs === null ? null : Math.round(ageMs / 1000),
+      stale: ageMs === null || ageMs > YTDLP_STALE_MS,
+    },
+  };
+  sendJson(res, body.status === "ok" ? 200 : 503, body);
+}
+
+function handleMetricsRequest(_req, res) {
+  const lines = [];
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+    for (const [labels, value] of samples) lines.push(`${name}${labels} ${value}`);
+  };
+  const states = [...guildStates.values()];
+
+  metric("musicbot_up", "gauge", "Whether the Discord gateway is ready.", [["", client.isReady() ? 1 : 0]]);
+  metric("musicbot_ws_ping_ms", "gauge", "Discord WebSocket heartbeat ping in milliseconds.", [["", wsPing()]]);
+  metric("musicbot_active_players", "gauge", "Guilds with a track currently loaded.",
+    [["", states.filter(s => s.current).length]]);
+  metric("musicbot_queue_length", "gauge", "Tracks waiting in each guild's queue.",
+    states.filter(s => s.current || s.queue.length).map(s => [`{guild="${s.guildId}"}`, s.queue.length]));
+  metric("musicbot_tracks_played_total", "counter", "Tracks that started playing.", [["", metrics.tracksPlayed]]);
+  metric("musicbot_ytdlp_resolve_failures_total", "counter", "Failed yt-dlp resolves.",
+    Object.entries(metrics.ytdlpResolveFailures).map(([stage, n]) => [`{stage="${stage}"}`, n]));
+
+  lines.push("# HELP musicbot_ytdlp_resolve_seconds Time spent resolving with yt-dlp.", "# TYPE musicbot_ytdlp_resolve_seconds histogram");
+  for (const [stage, h] of Object.entries(metrics.ytdlpResolveSeconds)) {
+    YTDLP_LATENCY_BUCKETS.forEach((le, i) => lines.push(`musicbot_ytdlp_resolve_seconds_bucket{stage="${stage}",le="${le}"} ${h.counts[i]}`));
+    lines.push(`musicbot_ytdlp_resolve_seconds_bucket{stage="${stage}",le="+Inf"} ${h.count}`);
+    lines.push(`musicbot_ytdlp_resolve_seconds_sum{stage="${stage}"} ${h.sum.toFixed(3)}`);
+    lines.push(`musicbot_ytdlp_resolve_seconds_count{stage="${stage}"} ${h.count}`);
+  }
+
+  metric("musicbot_ffmpeg_spawn_errors_total", "counter", "ffmpeg processes that failed to spawn.", [["", metrics.ffmpegSpawnErrors]]);
+  metric("musicbot_player_restarts_total", "counter", "Stream restarts after player errors.", [["", metrics.playerRestarts]]);
+  metric("musicbot_audio_cache_lookups_total", "counter", "Audio cache lookups by result (AUDIO_CACHE only).",
+    Object.entries(metrics.audioCache).map(([result, n]) => [`{result="${result}"}`, n]));
+
+  res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+  res.end(lines.join("\n") + "\n");
+}
+
+/* -------------------------------- Web dashboard ------------------------------- */
+// A small per-guild control page served from the keep-alive server. Access is
+// granted by a signed link that /dashboard DMs to the user:
+//
+//   /dashboard/<guildId>?u=<userId>&exp=<unix seconds>&sig=<hmac>
+//
+// The page polls nothing; it receives the player state over Server-Sent
+// Events from /dashboard/<guildId>/events whenever playerEvents fires.
+const DASHBOARD_SECRET = config.dashboardSecret
+  || crypto.createHash("sha256").update("dashboard:" + config.token).digest("hex");
+const SSE_HEARTBEAT_MS = 25000;
+
+function signDashboardLink(guildId, userId, exp) {
+  return crypto.createHmac("sha256", DASHBOARD_SECRET).update(`${guildId}:${userId}:${exp}`).digest("base64url");
+}
+
+function createDashboardLink(guildId, userId) {
+  const exp = Math.floor(Date.now() / 1000) + config.dashboardLinkTtlMinutes * 60;
+  const sig = signDashboardLink(guildId, userId, exp);
+  const base = config.publicUrl.replace(/\/+$/, "");
+  return `${base}/dashboard/${guildId}?u=${userId}&exp=${exp}&sig=${sig}`;
 }
 
-async function playNext(guild, textChannelId, state = getGuildState(guild)) {
-  state.restartGuard.tried = false;
-  cleanupCurrentPipeline(state);
+/** Returns the user ID the link was issued to, or null if the link is invalid/expired. */
+function verifyDashboardLink(guildId, params) {
+  const userId = params.get("u") || "";
+  const exp = Number(params.get("exp"));
+  const sig = Buffer.from(params.get("sig") || "");
+  if (!userId || !Number.isFinite(exp) || exp * 1000 < Date.now()) return null;
+  const expected = Buffer.from(signDashboardLink(guildId, userId, exp));
+  return sig.length === expected.length && crypto.timingSafeEqual(sig, expected) ? userId : null;
+}
 
-  if (!state.queue.length) {
-    state.current = null;
-    const vc = getVoiceConnection(guild.id);
-    if (vc) vc.destroy();
-    logPretty("NOWPLAY", "⏹️ QUEUE EMPTY");
-    await sendToTextChannel(guild, textChannelId, "⏹️ คิวหมดแล้ว");
-    return;
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="th">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Music Dashboard</title>
+<style>
+  body { font-family: system-ui, sans-serif; background: #1e1f22; color: #dbdee1; margin: 0; padding: 24px; }
+  main { max-width: 720px; margin: 0 auto; }
+  h1 { font-size: 20px; }
+  .card { background: #2b2d31; border-radius: 8px; padding: 16px; margin-bottom: 16px; }
+  .muted { color: #949ba4; font-size: 13px; }
+  button, select { background: #404249; color: inherit; border: 0; border-radius: 4px; padding: 6px 10px; cursor: pointer; }
+  button:hover { background: #4e5058; }
+  .row { display: flex; gap: 8px; align-items: center; flex-wrap: wrap; margin-top: 12px; }
+  ol { padding-left: 24px; margin: 0; }
+  li { padding: 6px 4px; border-bottom: 1px solid #3f4147; display: flex; gap: 8px; align-items: center; cursor: grab; }
+  li span { flex: 1; }
+  li.dragging { opacity: .4; }
+</style>
+</head>
+<body>
+<main>
+  <h1 id="guild">Music Dashboard</h1>
+  <div class="card">
+    <div class="muted">กำลังเล่น</div>
+    <div id="np">-</div>
+    <div class="row">
+      <button data-action="pause">⏸️ หยุดชั่วคราว</button>
+      <button data-action="resume">▶️ เล่นต่อ</button>
+      <button data-action="skip">⏭️ ข้าม</button>
+      <label>🔊 <input id="volume" type="range" min="0" max="1000" step="5"></label>
+      <span id="volumeLabel"></span>
+      <select id="loop">
+        <option value="off">Loop: ปิด</option>
+        <option value="track">Loop: วนเพลง</option>
+        <option value="queue">Loop: วนคิว</option>
+      </select>
+    </div>
+  </div>
+  <div class="card">
+    <div class="muted">คิวเพลง (ลากเพื่อเรียงลำดับ)</div>
+    <ol id="queue"></ol>
+  </div>
+  <div class="muted" id="status">กำลังเชื่อมต่อ…</div>
+</main>
+<script>
+  var base = location.pathname.replace(/\\/+$/, "");
+  var auth = location.search;
+  var dragFrom = null;
+
+  function post(body) {
+    return fetch(base + "/action" + auth, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body)
+    }).then(function (r) { return r.json(); }).then(function (j) {
+      if (j.error) document.getElementById("status").textContent = "⚠️ " + j.error;
+      else if (j.vote) document.getElementById("status").textContent = "🗳️ โหวตข้าม " + j.vote.votes + "/" + j.vote.needed;
+    });
   }
 
-  const next = state.queue.shift();
-  state.current = next;
+  function render(s) {
+    document.getElementById("guild").textContent = "🎵 " + s.name;
+    document.getElementById("np").textContent = s.current
+      ? (s.current.streamTitle ? s.current.streamTitle + " · " : "") + s.current.title + " — " + s.current.requestedBy
+      : "-";
+    var vol = document.getElementById("volume");
+    // The guild's /settings maxvolume, not a fixed range
+    vol.max = s.maxVolume;
+    if (document.activeElement !== vol) vol.value = s.volume;
+    document.getElementById("volumeLabel").textContent = s.volume + "%";
+    document.getElementById("loop").value = s.loop;
+    var ol = document.getElementById("queue");
+    ol.innerHTML = "";
+    s.queue.forEach(function (item, i) {
+      var li = document.createElement("li");
+      li.draggable = true;
+      var span = document.createElement("span");
+      span.textContent = item.title + " — " + item.requestedBy;
+      var rm = document.createElement("button");
+      rm.textContent = "🗑️";
+      rm.onclick = function () { post({ action: "remove", index: i + 1 }); };
+      li.appendChild(span);
+      li.appendChild(rm);
+      li.addEventListener("dragstart", function () { dragFrom = i; li.classList.add("dragging"); });
+      li.addEventListener("dragend", function () { li.classList.remove("dragging"); });
+      li.addEventListener("dragover", function (e) { e.preventDefault(); });
+      li.addEventListener("drop", function (e) {
+        e.preventDefault();
+        if (dragFrom !== null && dragFrom !== i) post({ action: "move", from: dragFrom + 1, to: i + 1 });
+        dragFrom = null;
+      });
+      ol.appendChild(li);
+    });
+  }
 
-  try {
-    // Use unified playback helper; this will throw on resolution errors
-    const { pageUrl } = await startPlayback(guild, next, state);
-    // Compose information about upcoming tracks
-    const upNext = state.queue.slice(0, 3).map(x => x.title).join(" | ") || "-";
-    logPretty("NOWPLAY", `🎶 NOW PLAYING: ${next.title}`, { tail: `by=${next.requestedBy} via=ffmpeg(url+headers) up_next=${upNext}` });
-    const ws = wsPing();
-    await sendToTextChannel(guild, next.textChannelId, `🎶 กำลังเล่น: **${next.title}** — ขอโดย ${next.requestedBy} | ping ${ws} ms | 🔊 ${state.volumePct}%`);
-  } catch (e) {
-    logPretty("ERROR", "play error: " + (e?.message || e));
-    await sendToTextChannel(guild, next.textChannelId, `⚠️ มีปัญหากับเพลงนี้ ข้าม: **${next?.title ?? "ไม่ทราบชื่อ"}**`);
-    state.current = null;
-    await playNext(guild, textChannelId, state);
+  document.querySelectorAll("button[data-action]").forEach(function (b) {
+    b.onclick = function () { post({ action: b.dataset.action }); };
+  });
+  document.getElementById("volume").onchange = function (e) { post({ action: "volume", value: Number(e.target.value) }); };
+  document.getElementById("loop").onchange = function (e) { post({ action: "loop", mode: e.target.value }); };
+
+  var es = new EventSource(base + "/events" + auth);
+  es.addEventListener("state", function (e) {
+    document.getElementById("status").textContent = "🟢 เชื่อมต่อแล้ว";
+    render(JSON.parse(e.data));
+  });
+  es.onerror = function () { document.getElementById("status").textContent = "🔴 การเชื่อมต่อหลุด (ลิงก์อาจหมดอายุ)"; };
+</script>
+</body>
+</html>`;
+
+async function handleDashboardRequest(req, res) {
+  const { pathname, searchParams } = new URL(req.url, "http://localhost");
+  const parts = pathname.split("/").filter(Boolean); // ["dashboard", guildId, endpoint?]
+  const guild = client.guilds.cache.get(parts[1]);
+  const userId = guild && verifyDashboardLink(guild.id, searchParams);
+  if (!userId || parts.length > 3) {
+    res.writeHead(403, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("ลิงก์ไม่ถูกต้องหรือหมดอายุ ใช้ /dashboard ใน Discord เพื่อขอลิงก์ใหม่");
+    return;
   }
-}
+  const state = getGuildState(guild);
+  const endpoint = parts[2];
 
-async function playSame(guild, textChannelId, item, state = getGuildState(guild)) {
-  try {
-    state.current = item;
-    cleanupCurrentPipeline(state);
-    // Reuse unified playback helper; any errors will be caught below
-    await startPlayback(guild, item, state);
-    logPretty("NOWPLAY", `🔁 RESTARTED: ${item.title}`, { tail: `via=ffmpeg(url+headers)` });
-  } catch (err) {
-    logPretty("ERROR", "playSame error: " + (err?.message || err));
-    state.current = null;
-    await playNext(guild, textChannelId, state);
+  if (!endpoint && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "text/html; charset=utf-8", "Cache-Control": "no-store" });
+    res.end(DASHBOARD_HTML);
+    return;
   }
-}
 
-function applyVolume(state) {
-  try {
-    const pct = Number.isFinite(state.volumePct) ? state.volumePct : 100;
-    state.currentResource?.volume?.setVolumeLogarithmic(Math.max(pct, 0) / 100);
-  } catch {}
-}
+  if (endpoint === "events" && req.method === "GET") {
+    res.writeHead(200, { "Content-Type": "text/event-stream", "Cache-Control": "no-store", Connection: "keep-alive" });
+    const push = () => res.write(`event: state\ndata: ${JSON.stringify(describeGuildPlayer(guild, state))}\n\n`);
+    const onChange = (guildId) => { if (guildId === guild.id) push(); };
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+    playerEvents.on("change", onChange);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      playerEvents.off("change", onChange);
+    });
+    push();
+    return;
+  }
 
-/**
- * Prepare and start playback for a given queue item. This helper centralises
- * the logic of resolving a direct audio URL, spawning ffmpeg, probing the
- * stream type and starting the Discord audio player. It will also ensure
- * the voice connection is joined. If any step fails, it will throw an
- * exception which should be handled by the caller.
- *
- * @param {import('discord.js').Guild} guild
- * @param {Object} item
- * @param {Object} state
- * @returns {Promise<{ pageUrl: string }>} The resolved page URL
- */
-async function startPlayback(guild, item, state) {
-  // Ensure the bot is connected to the correct voice channel and subscribed to the player
-  ensureVC(guild, item.voiceChannelId, state);
+  if (endpoint === "action" && req.method === "POST") {
+    let body;
+    try {
+      body = await readJsonBody(req);
+    } catch (e) {
+      return sendJson(res, 400, { error: e.message });
+    }
+    const member = await guild.members.fetch(userId).catch(() => null);
+    logPretty("COMMAND", `dashboard ${body.action} by ${member?.user?.tag || userId}`, { tail: `guild=${guild.id}` });
+    if (!member) return sendJson(res, 403, { error: "ไม่ได้เป็นสมาชิกของเซิร์ฟเวอร์นี้" });
+    const affected = body.action === "remove" ? state.queue[Number(body.index) - 1]
+      : body.action === "move" ? state.queue[Number(body.from) - 1]
+      : undefined;
+    if (["volume", "loop", "remove", "move"].includes(body.action) && !canControl(member, state, affected)) {
+      return sendJson(res, 403, { error: DJ_DENIED_MESSAGE });
+    }
 
-  // Resolve the initial video/track URL; this may involve a search
-  const pageUrl = await resolveFirstVideoUrl(item.source);
-  if (!pageUrl) {
-    throw new Error("cannot resolve page url");
+    if (body.action === "skip") {
+      if (!state.current) return sendJson(res, 409, { error: "ไม่มีเพลงกำลังเล่น" });
+      const r = requestSkip(guild, state, member);
+      if (r.result !== "skipped") return sendJson(res, 200, { ok: true, vote: r });
+    } else if (body.action === "pause") {
+      state.player.pause();
+    } else if (body.action === "resume") {
+      state.player.unpause();
+    } else if (body.action === "volume") {
+      const value = Number(body.value);
+      if (!Number.isInteger(value) || value < 0 || value > 1000) return sendJson(res, 400, { error: "ความดังไม่ถูกต้อง" });
+      setVolumePct(state, value);
+    } else if (body.action === "loop") {
+      if (!["off", "track", "queue"].includes(body.mode)) return sendJson(res, 400, { error: "โหมด loop ไม่ถูกต้อง" });
+      setLoopMode(state, body.mode);
+    } else if (body.action === "remove") {
+      if (!removeQueueItem(state, Number(body.index))) return sendJson(res, 400, { error: "ลำดับไม่ถูกต้อง" });
+    } else if (body.action === "move") {
+      if (!moveQueueItem(state, Number(body.from), Number(body.to))) return sendJson(res, 400, { error: "ลำดับไม่ถูกต้อง" });
+    } else {
+      return sendJson(res, 400, { error: "unknown action" });
+    }
+    return sendJson(res, 200, { ok: true });
   }
 
-  // Retrieve a direct audio URL and associated HTTP headers for yt-dlp
-  const { url, headers } = await getDirectAudioUrlAndHeaders(pageUrl);
-  // Spawn ffmpeg to transcode the audio stream to Opus/OGG
-  const ff = spawnFfmpegFromDirectUrl(url, buildFfmpegHeadersString(headers));
-  // Maintain a reference for clean up on idle/skip
-  state.currentPipe = { ff, stream: ff.stdout };
-  // Probe the stream to determine the correct demuxing configuration
-  const { stream, type } = await demuxProbe(ff.stdout);
-  // Create an audio resource for Discord with inline volume control
-  const resource = createAudioResource(stream, { inputType: type, inlineVolume: true });
-  state.currentResource = resource;
-  // Apply the current volume setting
-  applyVolume(state);
-  // Start playback on the audio player
-  state.player.play(resource);
-
-  return { pageUrl };
+  sendJson(res, 404, { error: "not found" });
 }
 
-function setVolumePct(state, pct){
-  if (pct < 0) pct = 0;
-  if (pct > 1000) pct = 1000;
-  state.volumePct = pct;
-  applyVolume(state);
-}
+client.on(Events.VoiceStateUpdate, (oldState, newState) => {
+  try {
+    handleBotVoiceMove(oldState, newState);
+    const state = guildStates.get(newState.guild.id);
+    const botChannelId = newState.guild.members.me?.voice?.channelId;
+    if (state && botChannelId && [oldState.channelId, newState.channelId].includes(botChannelId)) {
+      evaluatePresence(newState.guild, state);
+    }
+  } catch (e) {
+    logPretty("ERROR", "voiceStateUpdate error: " + (e?.message || e));
+  }
+});
 
 client.on("error", (e) => logPretty("ERROR", `Client error: ${e?.message || e}`));
 process.on("unhandledRejection", (e) => logPretty("ERROR", `unhandledRejection: ${e}`));
@@ -848,6 +4126,12 @@ client.once(Events.ClientReady, async () => {
   } catch (e) {
     logPretty("ERROR", "register error: " + (e?.message || e));
   }
+  try {
+    await restoreGuildStates();
+  } catch (e) {
+    logPretty("ERROR", "restore error: " + (e?.message || e));
+  }
+  if (LIBRARY_DIR) scanLibrary().catch((e) => logPretty("ERROR", "library scan error: " + (e?.message || e)));
   // Schedule automatic yt-dlp updates only if enabled in the configuration
   if (config.ytdlpAutoUpdate) {
     scheduleDailyBangkokMidnight(() => runYtDlpUpdate());
@@ -857,18 +4141,23 @@ client.once(Events.ClientReady, async () => {
 });
 
 client.on("interactionCreate", async (itx) => {
+  if (itx.isButton() && itx.customId.startsWith("np:")) {
+    handleNowPlayingButton(itx).catch((e) => logPretty("ERROR", "button error: " + (e?.message || e)));
+    return;
+  }
   if (!itx.isChatInputCommand()) return;
   // Calculate round-trip time. Clamp at zero to avoid negative values when clocks differ.
   const rttRaw = Date.now() - itx.createdTimestamp;
   const rtt = rttRaw < 0 ? 0 : rttRaw;
   logPretty("COMMAND", `/${itx.commandName} by ${itx.user.tag}`, { rtt });
 
-  const me = itx.guild.members.me;
   const userVC = itx.member?.voice?.channelId;
-  const botVC = me?.voice?.channelId;
-  const sameVC = userVC && (!botVC || botVC === userVC);
+  const sameVC = isInBotVoiceChannel(itx);
 
-  const needsSameVC = !["ping", "botupdate", "np", "queue"].includes(itx.commandName);
+  // Subcommands that only touch stored data and can be used from anywhere
+  const noVcSubcommands = { playlist: ["save", "list", "delete"], library: ["search", "rescan"], radio: ["add", "remove", "list"] };
+  const needsSameVC = !["ping", "botupdate", "np", "queue", "history", "dashboard", "247", "voteskip", "fairqueue", "settings"].includes(itx.commandName)
+    && !noVcSubcommands[itx.commandName]?.includes(itx.options.getSubcommand(false));
 
   if (needsSameVC && !sameVC) {
     return itx.reply({ content: "❌ กรุณาเข้าห้องเสียงเดียวกับบอทก่อน", ephemeral: true });
@@ -876,6 +4165,14 @@ client.on("interactionCreate", async (itx) => {
 
   const state = getGuildState(itx.guild);
 
+  // /remove is checked per track below; /clear only when wiping everyone's tracks
+  const djOnly = ["stop", "volume", "loop", "shuffle", "botupdate", "normalize", "crossfade",
+    "skipto", "dedupe", "move", "filter", "eq"].includes(itx.commandName)
+    || (itx.commandName === "clear" && !itx.options.getBoolean("mine"));
+  if (djOnly && !canControl(itx.member, state)) {
+    return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+  }
+
   if (itx.commandName === "ping") {
     await itx.reply(`\n> WebSocket: \`${Math.round(itx.client.ws.ping)} ms\`\n> RTT: \`${rtt} ms\``);
     return;
@@ -887,41 +4184,243 @@ client.on("interactionCreate", async (itx) => {
     return;
   }
 
+  if (itx.commandName === "dashboard") {
+    const link = createDashboardLink(itx.guild.id, itx.user.id);
+    const text = `🎛️ หน้าควบคุมเพลงของ **${itx.guild.name}** (ใช้ได้ ${config.dashboardLinkTtlMinutes} นาที)\n${link}`;
+    const dmOk = await itx.user.send(text).then(() => true).catch(() => false);
+    return itx.reply({ content: dmOk ? "📬 ส่งลิงก์ทาง DM แล้ว" : `⚠️ ส่ง DM ไม่ได้ ใช้ลิงก์นี้แทน:\n${link}`, ephemeral: true });
+  }
+
   if (itx.commandName === "play") {
     await itx.deferReply();
-    const q = itx.options.getString("query");
-    const title = await getTitle(q);
-    state.queue.push({
-      title,
-      source: q,
+    const { item, limitMessage } = await enqueueQuery(itx.guild, state, {
+      query: itx.options.getString("query"),
       requestedBy: itx.user.tag,
-      guild: itx.guild,
+      requestedById: itx.user.id,
+      voiceChannelId: userVC,
+      textChannelId: itx.channelId,
+      member: itx.member,
+    });
+    if (!item) return itx.editReply(limitMessage);
+    const position = state.queue.indexOf(item) + 1;
+    await itx.editReply(`➕ เพิ่ม: **${item.title}**${state.fairQueue && position ? ` (ลำดับที่ ${position})` : ""}`);
+    return;
+  }
+
+  if (itx.commandName === "library") {
+    const sub = itx.options.getSubcommand();
+    if (!LIBRARY_DIR) return itx.reply({ content: "❌ ยังไม่ได้ตั้งค่าคลังเพลง (MUSIC_LIBRARY_DIR)", ephemeral: true });
+    if (sub === "rescan") {
+      if (!itx.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return itx.reply({ content: "❌ เฉพาะผู้ที่มีสิทธิ์ Manage Server เท่านั้น", ephemeral: true });
+      }
+      await itx.deferReply({ ephemeral: true });
+      const count = await scanLibrary();
+      return itx.editReply(`📁 สแกนคลังเพลงเสร็จแล้ว มีทั้งหมด **${count}** เพลง`);
+    }
+
+    const query = itx.options.getString("query");
+    if (sub === "search") {
+      const results = searchLibrary(query);
+      if (!results.length) return itx.reply({ content: "❌ ไม่พบเพลงในคลัง", ephemeral: true });
+      const lines = results.map((e, i) => {
+        const extra = [e.artist, e.duration ? formatDuration(e.duration * 1000) : null].filter(Boolean).join(" · ");
+        return `\`${i + 1}.\` **${e.title}**${extra ? ` — ${extra}` : ""}`;
+      });
+      const embed = new EmbedBuilder()
+        .setTitle(`📁 ผลการค้นหาในคลัง: ${query}`.slice(0, 256))
+        .setDescription(lines.join("\n").slice(0, 4096))
+        .setFooter({ text: "ใช้ /library play เพื่อเพิ่มเข้าคิว" });
+      return itx.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    // play
+    const matches = searchLibrary(query, itx.options.getBoolean("all") ? LIBRARY_PLAY_ALL_MAX : 1);
+    if (!matches.length) return itx.reply({ content: "❌ ไม่พบเพลงในคลัง", ephemeral: true });
+    const { items, limitMessage } = enqueueTracks(itx.guild, state, matches.map(libraryEntryMeta), {
+      requestedBy: itx.user.tag,
+      requestedById: itx.user.id,
+      voiceChannelId: userVC,
+      textChannelId: itx.channelId,
+      member: itx.member,
+    });
+    if (!items.length) return itx.reply({ content: limitMessage, ephemeral: true });
+    const added = items.length === 1 ? `➕ เพิ่ม: **${items[0].title}**` : `📁 เพิ่มจากคลัง **${items.length}** เพลง`;
+    return itx.reply([added, limitMessage].filter(Boolean).join("\n"));
+  }
+
+  if (itx.commandName === "radio") {
+    const sub = itx.options.getSubcommand();
+    const stations = readRadioStations(itx.guild.id);
+
+    if (sub === "list") {
+      const lines = Object.values(stations)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(st => `• **${st.name}** — ${st.url}`);
+      if (!lines.length) return itx.reply({ content: "📻 ยังไม่มีสถานีที่บันทึกไว้ (เพิ่มด้วย /radio add)", ephemeral: true });
+      const embed = new EmbedBuilder().setTitle("📻 สถานีวิทยุของเซิร์ฟเวอร์").setDescription(lines.join("\n").slice(0, 4096));
+      return itx.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === "add" || sub === "remove") {
+      if (!isDj(itx.member, state)) return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+      const name = itx.options.getString("name").trim();
+      if (sub === "remove") {
+        const existing = stations[playlistKey(name)];
+        if (!existing) return itx.reply({ content: `❌ ไม่พบสถานี **${name}**`, ephemeral: true });
+        delete stations[playlistKey(name)];
+        writeRadioStations(itx.guild.id, stations);
+        return itx.reply(`🗑️ ลบสถานี **${existing.name}** แล้ว`);
+      }
+      const url = itx.options.getString("url").trim();
+      if (!isUrl(url)) return itx.reply({ content: "❌ URL ไม่ถูกต้อง", ephemeral: true });
+      if (!stations[playlistKey(name)] && Object.keys(stations).length >= RADIO_MAX_STATIONS) {
+        return itx.reply({ content: `❌ บันทึกได้สูงสุด ${RADIO_MAX_STATIONS} สถานี`, ephemeral: true });
+      }
+      await itx.deferReply();
+      if (!await radioStationMeta(url, name)) return itx.editReply("❌ URL นี้ไม่ใช่สตรีมเสียงหรือเชื่อมต่อไม่ได้");
+      stations[playlistKey(name)] = { name, url, addedBy: itx.user.tag, addedById: itx.user.id, addedAt: Date.now() };
+      try {
+        writeRadioStations(itx.guild.id, stations);
+      } catch (e) {
+        logPretty("ERROR", "save radio stations fail: " + (e?.message || e));
+        return itx.editReply("❌ บันทึกสถานีไม่สำเร็จ");
+      }
+      return itx.editReply(`📻 บันทึกสถานี **${name}** แล้ว`);
+    }
+
+    // play
+    const input = itx.options.getString("station").trim();
+    const saved = stations[playlistKey(input)];
+    const url = saved?.url || input;
+    if (!isUrl(url)) return itx.reply({ content: `❌ ไม่พบสถานี **${input}**`, ephemeral: true });
+    await itx.deferReply();
+    const meta = await radioStationMeta(url, saved?.name);
+    if (!meta) return itx.editReply("❌ เปิดสถานีนี้ไม่ได้ (ไม่ใช่สตรีมเสียง)");
+    const { items, limitMessage } = enqueueTracks(itx.guild, state, [meta], {
+      requestedBy: itx.user.tag,
+      requestedById: itx.user.id,
+      voiceChannelId: userVC,
+      textChannelId: itx.channelId,
+      member: itx.member,
+    });
+    if (!items.length) return itx.editReply(limitMessage);
+    return itx.editReply(`📻 เพิ่มสถานี: **${items[0].title}**`);
+  }
+
+  if (itx.commandName === "playfile") {
+    const file = itx.options.getAttachment("file");
+    const isAudio = /^(audio\/|application\/ogg)/i.test(file.contentType || "") || hasAudioExtension(file.name || "");
+    if (!isAudio) return itx.reply({ content: "❌ ไฟล์นี้ไม่ใช่ไฟล์เสียง", ephemeral: true });
+    if (file.size > UPLOAD_MAX_BYTES) {
+      return itx.reply({ content: `❌ ไฟล์ใหญ่เกิน ${Math.round(UPLOAD_MAX_BYTES / 1024 / 1024)} MB`, ephemeral: true });
+    }
+    await itx.deferReply();
+    let local;
+    try {
+      local = await storeUpload(itx.guildId, file);
+    } catch (e) {
+      logPretty("ERROR", "upload store fail: " + (e?.message || e), { tail: `file="${file.name}"` });
+      return itx.editReply("❌ ดาวน์โหลดไฟล์ไม่สำเร็จ");
+    }
+    const meta = await directAudioMeta("file", local, file.name);
+    const { items, limitMessage } = enqueueTracks(itx.guild, state, [meta], {
+      requestedBy: itx.user.tag,
+      requestedById: itx.user.id,
       voiceChannelId: userVC,
       textChannelId: itx.channelId,
+      member: itx.member,
+    });
+    if (!items.length) return itx.editReply(limitMessage);
+    return itx.editReply(`➕ เพิ่มไฟล์: **${items[0].title}**`);
+  }
+
+  if (itx.commandName === "search") {
+    await itx.deferReply();
+    const q = itx.options.getString("query");
+    const results = await searchTracks(q, itx.options.getInteger("results") ?? SEARCH_DEFAULT_RESULTS);
+    if (!results.length) return itx.editReply("❌ ไม่พบผลการค้นหา");
+
+    const menuId = `search:${itx.id}`;
+    const menu = new StringSelectMenuBuilder()
+      .setCustomId(menuId)
+      .setPlaceholder("เลือกเพลงที่จะเพิ่มเข้าคิว")
+      .setMinValues(1)
+      .setMaxValues(results.length)
+      .addOptions(results.map((r, i) => ({
+        label: `${i + 1}. ${r.title}`.slice(0, 100),
+        description: [r.uploader, r.isLive ? "LIVE" : r.duration ? formatDuration(r.duration * 1000) : null]
+          .filter(Boolean).join(" · ").slice(0, 100) || undefined,
+        value: String(i),
+      })));
+    const msg = await itx.editReply({
+      content: `🔎 ผลการค้นหา **${q}** — เลือกได้หลายเพลง (${SEARCH_TIMEOUT_MS / 1000} วินาที)`,
+      components: [new ActionRowBuilder().addComponents(menu)],
     });
-    await itx.editReply(`➕ เพิ่ม: **${title}**`);
+
+    let pick;
+    try {
+      pick = await msg.awaitMessageComponent({
+        time: SEARCH_TIMEOUT_MS,
+        filter: (i) => {
+          if (i.customId !== menuId) return false;
+          if (i.user.id === itx.user.id) return true;
+          i.reply({ content: "❌ เมนูนี้เป็นของผู้ที่ค้นหาเท่านั้น", ephemeral: true }).catch(() => {});
+          return false;
+        },
+      });
+    } catch {
+      return itx.editReply({ content: "⌛ หมดเวลาเลือกเพลง", components: [] }).catch(() => {});
+    }
+    if (!isInBotVoiceChannel(pick)) {
+      return pick.update({ content: "❌ กรุณาเข้าห้องเสียงเดียวกับบอทก่อน", components: [] });
+    }
+
+    const picked = pick.values.map(v => results[Number(v)]).filter(Boolean);
+    const { accepted: chosen, limitMessage } = applyQueueLimits(state, itx.member, picked);
+    addToQueue(state, chosen.map(meta => makeQueueItem(meta, {
+      requestedBy: itx.user.tag,
+      requestedById: itx.user.id,
+      guild: itx.guild,
+      voiceChannelId: pick.member?.voice?.channelId,
+      textChannelId: itx.channelId,
+    })));
+    commitGuildState(state);
+    const list = [...chosen.map(x => `➕ **${x.title}**`), limitMessage].filter(Boolean).join("\n");
+    await pick.update({ content: list.slice(0, 2000), components: [] });
     if (!state.current) playNext(itx.guild, itx.channelId, state);
     return;
   }
 
   if (itx.commandName === "skip") {
-    state.skipRequested = true;
-    state.player.stop(true);
-    cleanupCurrentPipeline(state);
-    // Respond once to the command that the current song was skipped
-    await itx.reply("⏭️ ข้ามเพลงปัจจุบัน");
+    const r = requestSkip(itx.guild, state, itx.member);
+    // Respond once to the command; votes are counted on the live vote message
+    await itx.reply(r.result === "skipped" ? skipResultText(r) : { content: skipResultText(r), ephemeral: true });
     return;
   }
 
+  if (itx.commandName === "fairqueue") {
+    if (!isDj(itx.member, state)) return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+    setFairQueue(state, itx.options.getString("mode") === "on");
+    return itx.reply(state.fairQueue
+      ? "⚖️ เปิดคิวแบบยุติธรรม — เพลงของแต่ละคนจะสลับกันเล่น"
+      : "⚖️ ปิดคิวแบบยุติธรรมแล้ว (เพลงใหม่ต่อท้ายคิวตามปกติ)");
+  }
+
+  if (itx.commandName === "voteskip") {
+    // Not canControl: without a DJ role that lets anyone turn the vote off
+    if (!isDj(itx.member, state)) return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+    const enabled = itx.options.getString("mode") === "on";
+    const percent = itx.options.getInteger("percent");
+    state.voteSkip = { enabled, percent: percent ?? state.voteSkip.percent };
+    commitGuildState(state);
+    return itx.reply(enabled
+      ? `🗳️ เปิดโหวตข้ามเพลง — ต้องได้เสียง **${state.voteSkip.percent}%** ของผู้ฟัง`
+      : "🗳️ ปิดโหวตข้ามเพลงแล้ว");
+  }
+
   if (itx.commandName === "stop") {
-    state.queue = [];
-    state.current = null;
-    state.loopMode = "off";
-    state.skipRequested = false;
-    state.player.stop(true);
-    cleanupCurrentPipeline(state);
-    const vc = getVoiceConnection(itx.guild.id);
-    if (vc) vc.destroy();
+    stopPlayback(itx.guild, state);
     await itx.reply("🛑 หยุดและล้างคิวแล้ว");
     return;
   }
@@ -940,23 +4439,27 @@ client.on("interactionCreate", async (itx) => {
 
   if (itx.commandName === "np") {
     if (!state.current) return itx.reply("ℹ️ ยังไม่มีเพลงกำลังเล่น");
-    const embed = new EmbedBuilder()
-      .setTitle("Now Playing")
-      .setDescription(`**${state.current.title}**\nขอโดย: ${state.current.requestedBy}`)
-      .addFields(
-        { name: "คิวที่เหลือ", value: String(state.queue.length), inline: true },
-        { name: "Volume", value: `${state.volumePct}%`, inline: true },
-        { name: "Loop", value: state.loopMode === "off" ? "ปิด" : (state.loopMode === "track" ? "วนเพลง" : "วนคิว"), inline: true }
-      );
-    return itx.reply({ embeds: [embed] });
+    return itx.reply({ embeds: [buildTrackEmbed(state, state.current, { title: "Now Playing" })] });
   }
 
   if (itx.commandName === "queue") {
     if (!state.queue.length) return itx.reply("📭 คิวว่าง");
-    const lines = state.queue.slice(0, 10).map((x, i) => `\`${i+1}.\` ${x.title} — *${x.requestedBy}*`);
+    const lengthOf = (x) => (x.isLive ? "LIVE" : x.duration ? formatDuration(x.duration * 1000) : "?:??");
+    const lines = state.queue.slice(0, 10).map((x, i) => {
+      const title = x.pageUrl && isUrl(x.pageUrl) ? `[${x.title}](${x.pageUrl})` : x.title;
+      return `\`${i+1}.\` ${title} \`[${lengthOf(x)}]\` — *${x.requestedBy}*`;
+    });
     const more = state.queue.length > 10 ? `\n…และอีก ${state.queue.length - 10} เพลง` : "";
-    const loopLabel = state.loopMode === "off" ? "ปิด" : (state.loopMode === "track" ? "วนเพลง" : "วนคิว");
-    return itx.reply(`🎼 **คิวเพลง (${state.queue.length})** — Loop: **${loopLabel}**\n${lines.join("\n")}${more}`);
+    const { total, unknown } = remainingQueueMs(state);
+    const embed = new EmbedBuilder()
+      .setTitle(`🎼 คิวเพลง (${state.queue.length})`)
+      .setDescription((lines.join("\n") + more).slice(0, 4096))
+      .addFields(
+        { name: "เวลาที่เหลือทั้งหมด", value: formatDuration(total) + (unknown ? ` (+${unknown} เพลงไม่ทราบความยาว)` : ""), inline: true },
+        { name: "Loop", value: loopModeLabel(state.loopMode), inline: true },
+      );
+    if (state.current) embed.setFooter({ text: `กำลังเล่น: ${state.current.title}`.slice(0, 2048) });
+    return itx.reply({ embeds: [embed] });
   }
 
   if (itx.commandName === "volume") {
@@ -965,58 +4468,366 @@ client.on("interactionCreate", async (itx) => {
     return itx.reply(`🔊 ปรับความดังเป็น **${state.volumePct}%**`);
   }
 
-  if (itx.commandName === "playlist") {
+  if (["seek", "forward", "rewind"].includes(itx.commandName)) {
+    if (!state.current || !state.currentResource) return itx.reply({ content: "ℹ️ ยังไม่มีเพลงกำลังเล่น", ephemeral: true });
+    if (state.current.isLive) return itx.reply({ content: "📡 เลื่อนเวลาในสตรีมสดไม่ได้", ephemeral: true });
+    let target;
+    if (itx.commandName === "seek") {
+      target = parseTimestamp(itx.options.getString("position"));
+      if (target === null) return itx.reply({ content: "❌ รูปแบบเวลาไม่ถูกต้อง (เช่น 1:30)", ephemeral: true });
+    } else {
+      const secs = itx.options.getInteger("seconds") ?? 10;
+      const delta = (itx.commandName === "forward" ? secs : -secs) * 1000;
+      target = Math.max(0, getPlaybackPositionMs(state) + delta);
+    }
+    const totalMs = (state.current.duration || 0) * 1000;
+    if (totalMs && target >= totalMs) {
+      return itx.reply({ content: `❌ เกินความยาวเพลง (${formatDuration(totalMs)})`, ephemeral: true });
+    }
     await itx.deferReply();
-    const q = itx.options.getString("query");
-    const limit = itx.options.getInteger("limit") ?? 25;
+    const ok = await restartCurrentAt(itx.guild, state, target);
+    return itx.editReply(ok ? `⏩ ไปที่ **${formatDuration(target)}**` : "⚠️ เลื่อนเวลาไม่สำเร็จ ข้ามไปเพลงถัดไป");
+  }
+
+  if (itx.commandName === "normalize") {
+    state.normalize = itx.options.getString("mode") === "on";
+    commitGuildState(state);
+    const summary = state.normalize
+      ? `🎚️ เปิดปรับระดับเสียงอัตโนมัติ (${config.loudnormTargetLufs} LUFS)`
+      : "🎚️ ปิดปรับระดับเสียงอัตโนมัติแล้ว";
+    if (!state.current || !state.currentResource) return itx.reply(summary);
+    await itx.deferReply();
+    const ok = await restartCurrentAt(itx.guild, state, getPlaybackPositionMs(state));
+    return itx.editReply(ok ? summary : `${summary}\n⚠️ เริ่มเพลงใหม่ไม่สำเร็จ ข้ามไปเพลงถัดไป`);
+  }
+
+  if (itx.commandName === "crossfade") {
+    state.crossfadeSeconds = itx.options.getInteger("seconds");
+    // A fade already prepared with the old length is redone by the next check
+    cancelCrossfade(state);
+    commitGuildState(state);
+    return itx.reply(state.crossfadeSeconds
+      ? `🔀 เปิด crossfade **${state.crossfadeSeconds} วินาที** ระหว่างเพลง`
+      : "🔀 ปิด crossfade แล้ว");
+  }
 
-    const items = await fetchPlaylistEntries(q, limit);
-    if (!items.length) {
-      return itx.editReply("❌ หาเพลงในเพลย์ลิสต์/ผลค้นหาไม่เจอ");
+  if (itx.commandName === "filter" || itx.commandName === "eq") {
+    const f = { ...state.filters, eq: { ...state.filters.eq } };
+    if (itx.commandName === "filter") {
+      const preset = itx.options.getString("preset");
+      const speed = itx.options.getNumber("speed");
+      const pitch = itx.options.getNumber("pitch");
+      if (preset === null && speed === null && pitch === null) {
+        return itx.reply(`🎛️ เอฟเฟกต์ตอนนี้: **${describeFilters(state.filters)}**`);
+      }
+      if (preset === "off" && speed === null && pitch === null) {
+        Object.assign(f, defaultFilters(), { eq: f.eq });
+      } else {
+        if (preset !== null) f.preset = preset;
+        if (speed !== null) f.speed = Math.round(speed * 100) / 100;
+        if (pitch !== null) f.pitch = Math.round(pitch * 100) / 100;
+      }
+    } else if (itx.options.getSubcommand() === "reset") {
+      f.eq = {};
+    } else {
+      f.eq[itx.options.getInteger("band")] = itx.options.getInteger("gain");
     }
+    state.filters = f;
+    commitGuildState(state);
+    const summary = `🎛️ เอฟเฟกต์: **${describeFilters(f)}**`;
+    // Restart the running track at its current position so the change is heard now
+    if (!state.current || !state.currentResource) return itx.reply(summary);
+    await itx.deferReply();
+    const ok = await restartCurrentAt(itx.guild, state, getPlaybackPositionMs(state));
+    return itx.editReply(ok ? summary : `${summary}\n⚠️ เริ่มเพลงใหม่ไม่สำเร็จ ข้ามไปเพลงถัดไป`);
+  }
+
+  if (itx.commandName === "playlist") {
+    const sub = itx.options.getSubcommand();
+    const scope = itx.options.getString("scope");
+    const name = (itx.options.getString("name") || "").trim();
+    const ownerKeyFor = (sc) => (sc === "server" ? itx.guild.id : itx.user.id);
+    const canManageServerPlaylist = (entry) =>
+      entry.ownerId === itx.user.id || itx.memberPermissions?.has(PermissionFlagsBits.ManageGuild);
 
-    for (const { title, url } of items) {
-      state.queue.push({
-        title,
-        source: url,
+    // Push track metadata entries onto the queue and start playing if idle
+    const enqueueEntries = async (entries, label) => {
+      const { accepted: items, limitMessage } = applyQueueLimits(state, itx.member, entries);
+      if (!items.length) return itx.editReply(limitMessage);
+      addToQueue(state, items.map(meta => makeQueueItem(meta, {
         requestedBy: itx.user.tag,
+        requestedById: itx.user.id,
         guild: itx.guild,
         voiceChannelId: itx.member?.voice?.channelId,
         textChannelId: itx.channelId,
-      });
+      })));
+
+      commitGuildState(state);
+      const preview = items.slice(0, 5).map((x, i) => `\`${i + 1}.\` ${x.title}`).join("\n");
+      const more = items.length > 5 ? `\n…และอีก ${items.length - 5} เพลง` : "";
+      const cut = limitMessage ? `\n${limitMessage} — ข้ามไป ${entries.length - items.length} เพลง` : "";
+      await itx.editReply(`📚 เพิ่มจาก **${label}** ทั้งหมด **${items.length}** เพลง\n${preview}${more}${cut}`);
+
+      if (!state.current) playNext(itx.guild, itx.channelId, state);
+    };
+
+    if (sub === "youtube") {
+      await itx.deferReply();
+      const q = itx.options.getString("query");
+      const limit = itx.options.getInteger("limit") ?? 25;
+
+      const items = await fetchPlaylistEntries(q, limit);
+      if (!items.length) {
+        return itx.editReply("❌ หาเพลงในเพลย์ลิสต์/ผลค้นหาไม่เจอ");
+      }
+      return enqueueEntries(items, "playlist/search");
     }
 
-    const preview = items.slice(0, 5).map((x, i) => `\`${i + 1}.\` ${x.title}`).join("\n");
-    const more = items.length > 5 ? `\n…และอีก ${items.length - 5} เพลง` : "";
-    await itx.editReply(`📚 เพิ่มจาก **playlist/search** ทั้งหมด **${items.length}** เพลง\n${preview}${more}`);
+    if (sub === "save") {
+      const sc = scope || "personal";
+      const includeCurrent = itx.options.getBoolean("include_current") ?? true;
+      const source = [...(includeCurrent && state.current ? [state.current] : []), ...state.queue];
+      const items = source
+        .map(x => ({
+          title: x.title,
+          url: x.pageUrl || x.source,
+          duration: x.duration || null,
+          uploader: x.uploader || null,
+          thumbnail: x.thumbnail || null,
+          isLive: Boolean(x.isLive),
+          kind: x.kind || null,
+        }))
+        .slice(0, PLAYLIST_MAX_ITEMS);
+      if (!items.length) return itx.reply({ content: "📭 คิวว่าง ไม่มีอะไรให้บันทึก", ephemeral: true });
 
-    if (!state.current) playNext(itx.guild, itx.channelId, state);
+      const playlists = readPlaylists(sc, ownerKeyFor(sc));
+      const existing = playlists[playlistKey(name)];
+      if (existing && sc === "server" && !canManageServerPlaylist(existing)) {
+        return itx.reply({ content: `❌ เพลย์ลิสต์ **${existing.name}** เป็นของ ${existing.ownerTag} เขียนทับไม่ได้`, ephemeral: true });
+      }
+      playlists[playlistKey(name)] = {
+        name,
+        ownerId: existing?.ownerId || itx.user.id,
+        ownerTag: existing?.ownerTag || itx.user.tag,
+        updatedAt: Date.now(),
+        items,
+      };
+      try {
+        writePlaylists(sc, ownerKeyFor(sc), playlists);
+      } catch (e) {
+        logPretty("ERROR", "save playlist fail: " + (e?.message || e));
+        return itx.reply({ content: "❌ บันทึกเพลย์ลิสต์ไม่สำเร็จ", ephemeral: true });
+      }
+      const where = sc === "server" ? "ของเซิร์ฟเวอร์" : "ส่วนตัว";
+      return itx.reply(`💾 ${existing ? "เขียนทับ" : "บันทึก"}เพลย์ลิสต์${where} **${name}** (${items.length} เพลง)`);
+    }
+
+    if (sub === "load") {
+      // Without an explicit scope, personal playlists win over server ones
+      const found = (scope ? [scope] : ["personal", "server"])
+        .map(sc => readPlaylists(sc, ownerKeyFor(sc))[playlistKey(name)])
+        .find(Boolean);
+      if (!found?.items?.length) return itx.reply({ content: `❌ ไม่พบเพลย์ลิสต์ **${name}**`, ephemeral: true });
+      await itx.deferReply();
+      return enqueueEntries(found.items, `เพลย์ลิสต์ ${found.name}`);
+    }
+
+    if (sub === "list") {
+      const fmt = (playlists) => Object.values(playlists)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(p => `• **${p.name}** — ${p.items.length} เพลง (${p.ownerTag})`)
+        .join("\n") || "-";
+      const embed = new EmbedBuilder()
+        .setTitle("เพลย์ลิสต์ที่บันทึกไว้")
+        .addFields(
+          { name: "ส่วนตัว", value: fmt(readPlaylists("personal", itx.user.id)).slice(0, 1024) },
+          { name: "เซิร์ฟเวอร์", value: fmt(readPlaylists("server", itx.guild.id)).slice(0, 1024) },
+        );
+      return itx.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (sub === "delete") {
+      const sc = scope || "personal";
+      const playlists = readPlaylists(sc, ownerKeyFor(sc));
+      const existing = playlists[playlistKey(name)];
+      if (!existing) return itx.reply({ content: `❌ ไม่พบเพลย์ลิสต์ **${name}**`, ephemeral: true });
+      if (sc === "server" && !canManageServerPlaylist(existing)) {
+        return itx.reply({ content: `❌ เพลย์ลิสต์ **${existing.name}** เป็นของ ${existing.ownerTag} ลบไม่ได้`, ephemeral: true });
+      }
+      delete playlists[playlistKey(name)];
+      try {
+        writePlaylists(sc, ownerKeyFor(sc), playlists);
+      } catch (e) {
+        logPretty("ERROR", "delete playlist fail: " + (e?.message || e));
+        return itx.reply({ content: "❌ ลบเพลย์ลิสต์ไม่สำเร็จ", ephemeral: true });
+      }
+      return itx.reply(`🗑️ ลบเพลย์ลิสต์ **${existing.name}** แล้ว`);
+    }
     return;
   }
 
   if (itx.commandName === "remove") {
     if (!state.queue.length) return itx.reply("📭 คิวว่าง ไม่มีอะไรให้ลบ");
     const index = itx.options.getInteger("index");
-    if (index < 1 || index > state.queue.length) {
+    const target = state.queue[index - 1];
+    if (target && !canControl(itx.member, state, target)) {
+      return itx.reply({ content: DJ_DENIED_MESSAGE, ephemeral: true });
+    }
+    const removed = removeQueueItem(state, index);
+    if (!removed) {
       return itx.reply({ content: "❌ ลำดับไม่ถูกต้อง", ephemeral: true });
     }
-    const [removed] = state.queue.splice(index - 1, 1);
     return itx.reply(`🗑️ ลบเพลงลำดับ ${index}: **${removed.title}**`);
   }
 
+  if (itx.commandName === "playnext") {
+    await itx.deferReply();
+    const { item, limitMessage } = await enqueueQuery(itx.guild, state, {
+      query: itx.options.getString("query"),
+      requestedBy: itx.user.tag,
+      requestedById: itx.user.id,
+      voiceChannelId: userVC,
+      textChannelId: itx.channelId,
+      front: true,
+      member: itx.member,
+    });
+    if (!item) return itx.editReply(limitMessage);
+    await itx.editReply(`⏫ เพิ่มเป็นเพลงถัดไป: **${item.title}**`);
+    return;
+  }
+
+  if (itx.commandName === "move") {
+    const from = itx.options.getInteger("from");
+    const to = itx.options.getInteger("to");
+    const moved = moveQueueItem(state, from, to);
+    if (!moved) return itx.reply({ content: "❌ ลำดับไม่ถูกต้อง", ephemeral: true });
+    return itx.reply(`↕️ ย้าย **${moved.title}** จากลำดับ ${from} ไป ${to}`);
+  }
+
+  if (itx.commandName === "skipto") {
+    if (!canSkipInstantly(itx.member, state)) return itx.reply({ content: VOTE_SKIP_DENIED_MESSAGE, ephemeral: true });
+    const index = itx.options.getInteger("index");
+    const target = state.queue[index - 1];
+    if (!skipToIndex(state, index)) return itx.reply({ content: "❌ ลำดับไม่ถูกต้อง", ephemeral: true });
+    if (!state.current) playNext(itx.guild, itx.channelId, state);
+    return itx.reply(`⏩ ข้ามไปที่ลำดับ ${index}: **${target.title}**`);
+  }
+
+  if (itx.commandName === "clear") {
+    const mine = itx.options.getBoolean("mine") ?? false;
+    const removed = clearQueue(state, mine ? (x) => isRequestedBy(x, itx.user) : undefined);
+    return itx.reply(mine ? `🧹 ลบเพลงของคุณออกจากคิว ${removed} เพลง` : `🧹 ล้างคิวแล้ว (${removed} เพลง)`);
+  }
+
+  if (itx.commandName === "dedupe") {
+    const removed = dedupeQueue(state);
+    return itx.reply(removed ? `🧹 ลบเพลงซ้ำ ${removed} เพลง` : "ℹ️ ไม่มีเพลงซ้ำในคิว");
+  }
+
+  if (itx.commandName === "history") {
+    const PAGE_SIZE = 10;
+    const entries = [...state.history].reverse();
+    if (!entries.length) return itx.reply("📭 ยังไม่มีประวัติการเล่น");
+    const pages = Math.ceil(entries.length / PAGE_SIZE);
+    const page = Math.min(itx.options.getInteger("page") ?? 1, pages);
+    const lines = entries.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map((h, i) => {
+      const n = (page - 1) * PAGE_SIZE + i + 1;
+      const title = h.pageUrl && isUrl(h.pageUrl) ? `[${h.title}](${h.pageUrl})` : h.title;
+      return `\`${n}.\` ${title} — *${h.requestedBy}* <t:${Math.floor(h.playedAt / 1000)}:R>`;
+    });
+    const embed = new EmbedBuilder()
+      .setTitle(`🕘 ประวัติการเล่น (${entries.length})`)
+      .setDescription(lines.join("\n").slice(0, 4096))
+      .setFooter({ text: `หน้า ${page}/${pages}` });
+    return itx.reply({ embeds: [embed] });
+  }
+
+  if (itx.commandName === "previous") {
+    if (!canSkipInstantly(itx.member, state)) return itx.reply({ content: VOTE_SKIP_DENIED_MESSAGE, ephemeral: true });
+    const prev = playPrevious(itx.guild, state, { voiceChannelId: userVC, textChannelId: itx.channelId });
+    if (!prev) return itx.reply({ content: "📭 ยังไม่มีเพลงก่อนหน้า", ephemeral: true });
+    return itx.reply(`⏮️ กลับไปเล่น: **${prev.title}**`);
+  }
+
+  if (itx.commandName === "replay") {
+    if (!state.current || !state.currentResource) return itx.reply({ content: "ℹ️ ยังไม่มีเพลงกำลังเล่น", ephemeral: true });
+    await itx.deferReply();
+    const ok = await restartCurrentAt(itx.guild, state, 0);
+    return itx.editReply(ok ? `🔂 เริ่มใหม่: **${state.current.title}**` : "⚠️ เริ่มเพลงใหม่ไม่สำเร็จ ข้ามไปเพลงถัดไป");
+  }
+
   if (itx.commandName === "shuffle") {
-    if (state.queue.length < 2) return itx.reply("ℹ️ คิวมีน้อยกว่าสองเพลง ไม่ต้องสลับ");
-    for (let i = state.queue.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [state.queue[i], state.queue[j]] = [state.queue[j], state.queue[i]];
-    }
+    if (!shuffleQueue(state)) return itx.reply("ℹ️ คิวมีน้อยกว่าสองเพลง ไม่ต้องสลับ");
     return itx.reply("🔀 สลับคิวเรียบร้อย");
   }
 
+  if (itx.commandName === "autoplay") {
+    state.autoplay = itx.options.getString("mode") === "on";
+    commitGuildState(state);
+    return itx.reply(state.autoplay ? "📻 เปิด autoplay แล้ว — คิวหมดจะเล่นเพลงที่เกี่ยวข้องต่อ" : "📻 ปิด autoplay แล้ว");
+  }
+
+  if (itx.commandName === "settings") {
+    if (!itx.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return itx.reply({ content: "❌ เฉพาะผู้ที่มีสิทธิ์ Manage Server เท่านั้น", ephemeral: true });
+    }
+    const sub = itx.options.getSubcommand();
+    if (sub === "show") {
+      const embed = new EmbedBuilder()
+        .setTitle(`⚙️ การตั้งค่าของ ${itx.guild.name}`)
+        .setDescription(Object.entries(GUILD_SETTING_LABELS)
+          .map(([key, label]) => `**${label}:** ${describeGuildSetting(itx.guild.id, key)}`)
+          .join("\n"));
+      return itx.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    let key;
+    let value;
+    if (sub === "reset") {
+      key = itx.options.getString("key");
+      value = undefined;
+    } else {
+      key = {
+        volume: "defaultVolume",
+        loop: "defaultLoop",
+        maxvolume: "maxVolume",
+        announce: "announceChannelId",
+        djrole: "djRoleId",
+        maxlength: "maxTrackMinutes",
+      }[sub];
+      value = {
+        volume: () => itx.options.getInteger("value"),
+        loop: () => itx.options.getString("mode"),
+        maxvolume: () => itx.options.getInteger("value"),
+        announce: () => itx.options.getChannel("channel").id,
+        djrole: () => itx.options.getRole("role").id,
+        maxlength: () => itx.options.getInteger("minutes"),
+      }[sub]();
+    }
+    updateGuildSettings(itx.guild.id, { [key]: value });
+    // Defaults only seed new players; a lowered cap still clamps the running one
+    if (key === "maxVolume" && state.volumePct > getGuildSetting(itx.guild.id, "maxVolume")) {
+      setVolumePct(state, state.volumePct);
+    }
+    return itx.reply(`⚙️ ${GUILD_SETTING_LABELS[key]}: ${describeGuildSetting(itx.guild.id, key)}`);
+  }
+
+  if (itx.commandName === "247") {
+    if (!itx.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return itx.reply({ content: "❌ เฉพาะผู้ที่มีสิทธิ์ Manage Server เท่านั้น", ephemeral: true });
+    }
+    state.stay247 = itx.options.getString("mode") === "on";
+    // Turning 24/7 on from a voice channel pulls the bot in right away
+    if (state.stay247 && userVC && !getVoiceConnection(itx.guild.id)) ensureVC(itx.guild, userVC, state);
+    commitGuildState(state);
+    evaluatePresence(itx.guild, state);
+    return itx.reply(state.stay247 ? "🌙 เปิดโหมด 24/7 — บอทจะอยู่ในห้องเสียงตลอด" : "🌙 ปิดโหมด 24/7 แล้ว");
+  }
+
   if (itx.commandName === "loop") {
     const mode = itx.options.getString("mode");
-    state.loopMode = mode;
-    return itx.reply(`🔁 ตั้งค่า loop เป็น **${mode === "off" ? "ปิด" : mode === "track" ? "วนเพลงปัจจุบัน" : "วนทั้งคิว"}**`);
+    setLoopMode(state, mode);
+    return itx.reply(`🔁 ตั้งค่า loop เป็น **${loopModeLabel(mode)}**`);
   }
 });
 